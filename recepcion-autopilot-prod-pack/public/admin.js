@@ -1,7 +1,60 @@
 (async function(){
+  let me = null;
+
+  function esc(v){
+    return String(v == null ? "" : v).replace(/[&<>"']/g, c => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" }[c]));
+  }
+
+  // sesión por cookie (ra_staff); si vence, volvemos al login
+  async function api(url, opts){
+    const res = await fetch(url, Object.assign({ credentials: "same-origin" }, opts || {}));
+    if(res.status === 401){
+      location.href = "/login";
+      throw new Error("auth");
+    }
+    return res.json();
+  }
+
+  function can(permission){
+    return !!(me && (me.permissions || []).includes(permission));
+  }
+
+  async function resolveHandoff(caseId){
+    await api("/api/admin/handoffs/" + encodeURIComponent(caseId) + "/resolve", {
+      method:"POST",
+      headers:{ "Content-Type":"application/json" },
+      body: JSON.stringify({})
+    });
+    load();
+  }
+
+  async function cancelCase(x){
+    const money = x.refund_if_cancelled ? "Se devuelve la seña." : "La seña no se devuelve (política de cancelación).";
+    if(!confirm("¿Cancelar el turno " + x.id + "? " + money + " Se le avisa al paciente.")) return;
+    const r = await api("/api/admin/cases/" + encodeURIComponent(x.id) + "/cancel", {
+      method:"POST",
+      headers:{ "Content-Type":"application/json" },
+      body: JSON.stringify({})
+    });
+    if(!r.ok) alert("No se pudo cancelar: " + (r.error || "error"));
+    load();
+  }
+
+  document.getElementById("logout").addEventListener("click", async () => {
+    await fetch("/api/admin/logout", { method:"POST" });
+    location.href = "/login";
+  });
+
   async function load(){
-    const a = await fetch("/api/admin/appointments").then(r=>r.json());
-    const h = await fetch("/api/admin/handoffs").then(r=>r.json());
+    let a, h;
+    try{
+      a = await api("/api/admin/appointments");
+      h = await api("/api/admin/handoffs");
+    }catch(e){
+      document.getElementById("countA").textContent = "sin acceso";
+      document.getElementById("countH").textContent = "sin acceso";
+      return;
+    }
 
     const itemsA = (a.items || []);
     const itemsH = (h.items || []);
@@ -12,22 +65,32 @@
     const rowsA = document.getElementById("rowsA");
     rowsA.innerHTML = "";
     if(itemsA.length === 0){
-      rowsA.innerHTML = '<tr><td colspan="10" style="padding:18px;color:var(--muted);">Sin turnos todavía. Volvé a <a style="text-decoration:underline" href="/">/</a> y probá la demo.</td></tr>';
+      rowsA.innerHTML = '<tr><td colspan="11" style="padding:18px;color:var(--muted);">Sin turnos todavía. Volvé a <a style="text-decoration:underline" href="/">/</a> y probá la demo.</td></tr>';
     } else {
       itemsA.forEach(x => {
         const tr = document.createElement("tr");
         tr.innerHTML = `
-          <td style="color:var(--muted)">${x.created_at}</td>
-          <td class="mono" style="font-size:12px">${x.id}</td>
-          <td>${x.user_phone}</td>
-          <td>${x.service}</td>
-          <td>${x.location}</td>
-          <td>${x.coverage}</td>
-          <td>$${x.deposit_amount}</td>
-          <td>${x.start_at}</td>
-          <td>${x.status}</td>
-          <td>${x.payment_status}</td>
+          <td style="color:var(--muted)">${esc(x.created_at)}</td>
+          <td class="mono" style="font-size:12px">${esc(x.id)}</td>
+          <td>${esc(x.user_phone)}</td>
+          <td>${esc(x.service)}</td>
+          <td>${esc(x.location)}</td>
+          <td>${esc(x.coverage)}</td>
+          <td>$${esc(x.deposit_amount)}</td>
+          <td>${esc(x.start_at)}</td>
+          <td>${esc(x.status)}</td>
+          <td>${esc(x.payment_status)}</td>
+          <td></td>
         `;
+        if(x.status === "confirmed" && can("cases:cancel")){
+          const btn = document.createElement("button");
+          btn.className = "btn";
+          btn.style.fontSize = "12px";
+          btn.style.padding = "6px 10px";
+          btn.textContent = "Cancelar";
+          btn.addEventListener("click", () => cancelCase(x));
+          tr.lastElementChild.appendChild(btn);
+        }
         rowsA.appendChild(tr);
       });
     }
@@ -35,22 +98,71 @@
     const rowsH = document.getElementById("rowsH");
     rowsH.innerHTML = "";
     if(itemsH.length === 0){
-      rowsH.innerHTML = '<tr><td colspan="5" style="padding:18px;color:var(--muted);">Sin handoffs todavía. En el chat, respondé <span class="mono" style="color:rgba(230,237,243,.85)">4</span>.</td></tr>';
+      rowsH.innerHTML = '<tr><td colspan="6" style="padding:18px;color:var(--muted);">Sin handoffs todavía. En el chat, respondé <span class="mono" style="color:rgba(230,237,243,.85)">5</span>.</td></tr>';
     } else {
       itemsH.forEach(x => {
         const tr = document.createElement("tr");
         tr.innerHTML = `
-          <td style="color:var(--muted)">${x.created_at}</td>
-          <td class="mono" style="font-size:12px">${x.id}</td>
-          <td>${x.user_phone}</td>
-          <td>${x.reason}</td>
-          <td>${x.status}</td>
+          <td style="color:var(--muted)">${esc(x.created_at)}</td>
+          <td class="mono" style="font-size:12px">${esc(x.id)}</td>
+          <td>${esc(x.user_phone)}</td>
+          <td>${esc(x.reason)}</td>
+          <td>${esc(x.status)}</td>
+          <td></td>
         `;
+        if(can("handoffs:resolve")){
+          const btn = document.createElement("button");
+          btn.className = "btn";
+          btn.style.fontSize = "12px";
+          btn.style.padding = "6px 10px";
+          btn.textContent = "Resolver";
+          btn.addEventListener("click", () => resolveHandoff(x.id));
+          tr.lastElementChild.appendChild(btn);
+        }
         rowsH.appendChild(tr);
       });
     }
   }
 
+  // mensajes de confirmación que WhatsApp no entregó (o que siguen reintentando)
+  async function loadUndelivered(){
+    let u;
+    try{
+      u = await api("/api/admin/undelivered");
+    }catch(e){
+      document.getElementById("countU").textContent = "sin acceso";
+      return;
+    }
+
+    const itemsU = (u.items || []);
+    document.getElementById("countU").textContent = itemsU.length + " total";
+
+    const rowsU = document.getElementById("rowsU");
+    rowsU.innerHTML = "";
+    if(itemsU.length === 0){
+      rowsU.innerHTML = '<tr><td colspan="6" style="padding:18px;color:var(--muted);">Todas las confirmaciones llegaron.</td></tr>';
+      return;
+    }
+    itemsU.forEach(x => {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td style="color:var(--muted)">${esc(x.sent_at)}</td>
+        <td class="mono" style="font-size:12px">${esc(x.case_id)}</td>
+        <td>${esc(x.user_phone)}</td>
+        <td>${esc(x.status)}</td>
+        <td>${esc(x.attempts)}</td>
+        <td>${esc(x.error)}</td>
+      `;
+      rowsU.appendChild(tr);
+    });
+  }
+
+  me = await api("/api/admin/me");
+  document.getElementById("whoami").textContent = me.user + " · " + me.role;
+  if(can("export")) document.getElementById("exportLinks").style.display = "flex";
+
   load();
-  setInterval(load, 1500);
+  setInterval(load, 5000);
+  loadUndelivered();
+  setInterval(loadUndelivered, 15000);
 })();
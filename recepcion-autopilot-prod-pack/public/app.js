@@ -23,7 +23,7 @@
   }
 
   function extractAppointmentIdFromText(text){
-    const m = String(text).match(/paylink\?ref=([a-f0-9\-]{20,})/i);
+    const m = String(text).match(/paylink\?ref=([A-Za-z0-9\-]{10,})/);
     return m && m[1] ? m[1] : null;
   }
 
@@ -71,12 +71,16 @@
     if(!lastAppointmentId || busy) return;
     busy = true;
     try{
-      await fetch("/api/dev/pay", {
+      const res = await fetch("/api/dev/pay", {
         method:"POST",
         headers:{ "Content-Type":"application/json" },
-        body: JSON.stringify({ appointmentId: lastAppointmentId, paymentRef: "demo-123" })
+        body: JSON.stringify({ appointmentId: lastAppointmentId, paymentRef: "demo-123", phone: phoneEl.value.trim() || "5492610000000" })
       });
-      addBubble("bot", "Pago acreditado ✅ Turno confirmado. Te llega recordatorio 24 hs antes.");
+      const data = await res.json();
+      if(!data.ok) throw new Error(data.error || "pay_failed");
+      (data.replies || []).forEach(r => addBubble("bot", r));
+      lastAppointmentId = null;
+      detectBox.style.display = "none";
     }catch(e){
       addBubble("bot", "No pude marcar el pago. Probemos de nuevo.");
     }finally{
@@ -0,0 +1,32 @@
+(function(){
+  const form = document.getElementById("loginForm");
+  const errorEl = document.getElementById("loginError");
+
+  const MESSAGES = {
+    invalid_credentials: "Usuario o clave incorrectos.",
+    too_many_attempts: "Demasiados intentos. Esperá unos minutos."
+  };
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    errorEl.textContent = "";
+    try{
+      const res = await fetch("/api/admin/login", {
+        method:"POST",
+        headers:{ "Content-Type":"application/json" },
+        body: JSON.stringify({
+          user: document.getElementById("user").value.trim(),
+          password: document.getElementById("password").value
+        })
+      });
+      const data = await res.json();
+      if(!data.ok){
+        errorEl.textContent = MESSAGES[data.error] || "No pude ingresar. Probemos de nuevo.";
+        return;
+      }
+      location.href = "/admin";
+    }catch(err){
+      errorEl.textContent = "No pude ingresar. Probemos de nuevo.";
+    }
+  });
+})();
@@ -5,6 +5,8 @@ const express = require('express');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const { google } = require('googleapis');
 
 // ================= App =================
@@ -31,9 +33,11 @@ const {
   WA_PHONE_NUMBER_ID,
   META_APP_SECRET,
   GRAPH_VERSION = 'v22.0',
+  WA_INTERACTIVE = 'true', // menús como botones/lista; false: solo texto numerado
 
-  DEPOSIT_REQUIRED = 'true',
-  DEPOSIT_AMOUNT = '10000',
+  // Si están seteadas, pisan el bloque "deposit" de la config de la clínica
+  DEPOSIT_REQUIRED,
+  DEPOSIT_AMOUNT,
   PAYMENT_WINDOW_MINUTES = '60',
 
   // MercadoPago
@@ -42,23 +46,56 @@ const {
   MP_FAILURE_URL,
   MP_PENDING_URL,
   MP_NOTIFICATION_URL, // ✅ setear a: https://recepcion-autopilot-wa.onrender.com/webhooks/mercadopago
+  MP_WEBHOOK_SECRET, // "clave secreta" de Webhooks en el panel de MP (firma x-signature)
 
-  // MrTurno override opcional
+  // MrTurno override opcional (pisa clinic.booking_url)
   MR_TURNO_URL,
 
+  // Datos de la clínica (menú, estudios, obras sociales, seña)
+  CLINIC_CONFIG_PATH = 'cepa.config.json',
+
   // Google Sheets
   GSHEET_SPREADSHEET_ID,
   GSHEET_ID,
   GSHEET_SA_JSON_BASE64,
   GSHEET_CLIENT_EMAIL,
   GSHEET_PRIVATE_KEY,
+
+  // Persistencia: sheets | local (default: sheets si hay credenciales, si no local)
+  STORAGE_BACKEND,
+  STORAGE_MIRROR_SHEETS = 'false', // local + copia de cases/events en Sheets
+  DATA_DIR = 'data',
+  SHEETS_INDEX_REFRESH_MINUTES = '10', // re-lectura completa del índice caseId/waId -> fila
+  SESSION_TTL_MINUTES = '60', // después de esto, al volver se ofrece retomar la reserva
+
+  // Simulador web (/api/dev/*) — nunca en producción
+  DEV_SIMULATOR = 'false',
+  NODE_ENV,
+
+  // Panel /admin (staff)
+  STAFF_USERS, // JSON: [{ "user": "ana", "role": "recepcion", "hash": "scrypt$<salt>$<hash>" }]
+  ADMIN_SESSION_SECRET,
+  ADMIN_SESSION_HOURS = '12',
+
+  // Calendarios .ics para recepción (/calendar/<feed>.ics?token=...): sin esto, no hay feeds
+  ICAL_FEED_SECRET,
 } = process.env;
 
 const SPREADSHEET_ID = GSHEET_SPREADSHEET_ID || GSHEET_ID;
 
 const STARTED_AT = Date.now();
 
+// Menús como botones/lista de WhatsApp (el simulador siempre recibe texto)
+const WA_INTERACTIVE_ON = normalizeEnvFlag(WA_INTERACTIVE);
+
+// ✅ Doble llave: hay que pedirlo explícito y además no estar en producción
+const DEV_ON = normalizeEnvFlag(DEV_SIMULATOR) && String(NODE_ENV || '').toLowerCase() !== 'production';
+
 // ================= Util =================
+function normalizeEnvFlag(v) {
+  return ['true', '1', 'yes', 'on'].includes(String(v || '').trim().toLowerCase());
+}
+
 function timingSafeEq(a, b) {
   const ba = Buffer.from(String(a));
   const bb = Buffer.from(String(b));
@@ -92,6 +129,30 @@ function verifyMetaSignature(rawBodyBuffer, signatureHeader, appSecret) {
   return timingSafeEq(ours, signatureHeader);
 }
 
+// x-signature de Mercado Pago: "ts=<ts>,v1=<hmac>" sobre "id:<data.id>;request-id:<x-request-id>;ts:<ts>;"
+const MP_SIGNATURE_MAX_AGE_MS = 10 * 60 * 1000;
+
+function verifyMpSignature({ signatureHeader, requestId, dataId }, secret) {
+  if (!secret) return { ok: true }; // permitido, pero no ideal
+  const parts = {};
+  for (const kv of String(signatureHeader || '').split(',')) {
+    const i = kv.indexOf('=');
+    if (i > 0) parts[kv.slice(0, i).trim()] = kv.slice(i + 1).trim();
+  }
+  if (!parts.ts || !parts.v1) return { ok: false, reason: 'missing_signature' };
+
+  // MP documenta ts en segundos pero manda milisegundos; aceptamos los dos
+  const tsNum = Number(parts.ts);
+  const tsMs = tsNum > 1e12 ? tsNum : tsNum * 1000;
+  if (!Number.isFinite(tsMs) || Math.abs(Date.now() - tsMs) > MP_SIGNATURE_MAX_AGE_MS) return { ok: false, reason: 'stale_timestamp' };
+
+  // un data.id alfanumérico va en minúsculas en el manifest
+  const id = /[a-z]/i.test(String(dataId || '')) ? String(dataId).toLowerCase() : String(dataId || '');
+  const manifest = `${id ? `id:${id};` : ''}${requestId ? `request-id:${requestId};` : ''}ts:${parts.ts};`;
+  const ours = crypto.createHmac('sha256', secret).update(manifest).digest('hex');
+  return timingSafeEq(ours, parts.v1) ? { ok: true } : { ok: false, reason: 'invalid_signature' };
+}
+
 function nowISO() {
   return new Date().toISOString();
 }
@@ -133,7 +194,110 @@ function looksPaidIntent(norm) {
   );
 }
 
-async function sendText(toWaId, text) {
+// ================= Dev capture =================
+// waId -> string[]: mientras el simulador atiende un waId, lo que "enviaríamos" queda acá
+const devCaptures = new Map();
+
+async function withDevCapture(waId, fn) {
+  const own = !devCaptures.has(waId);
+  if (own) devCaptures.set(waId, []);
+  const replies = devCaptures.get(waId);
+  try {
+    await fn();
+  } finally {
+    if (own) devCaptures.delete(waId);
+  }
+  return replies;
+}
+
+function isDevSimulated(waId) {
+  return DEV_ON && devCaptures.has(waId);
+}
+
+// ================= WhatsApp outbound =================
+// outbound: msg_id -> { msg_id, wa_from, case_id, kind, path, template, status, sent_at, updated_at, error }
+//   path: free_form (texto/interactivo, dentro de las 24 h) o template (plantilla aprobada)
+//   status avanza sent -> delivered -> read (o failed) con los statuses que manda Meta; cada cambio va a events.
+// outbox: lo que falló por 429/5xx/red, con reintentos y backoff (sobrevive reinicios)
+const OUTBOUND_COLLECTION = 'outbound';
+const OUTBOX_COLLECTION = 'outbox';
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_EVERY_MS = 15 * 1000;
+const WA_STATUS_RANK = { sent: 1, delivered: 2, read: 3 };
+
+function outboxBackoffMs(attempts) {
+  return Math.min(30 * 60 * 1000, 30 * 1000 * 2 ** Math.max(0, attempts - 1));
+}
+
+async function graphSendMessage(body) {
+  const url = `https://graph.facebook.com/${GRAPH_VERSION}/${WA_PHONE_NUMBER_ID}/messages`;
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${WA_ACCESS_TOKEN}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+  } catch (e) {
+    return { ok: false, status: 0, transient: true, err: { message: String(e?.message || e) } };
+  }
+
+  if (!resp.ok) {
+    let j = {};
+    try {
+      j = await resp.json();
+    } catch {}
+    return { ok: false, status: resp.status, transient: resp.status === 429 || resp.status >= 500, err: j };
+  }
+
+  const data = await resp.json();
+  return { ok: true, data, msgId: data?.messages?.[0]?.id || '' };
+}
+
+// Sube un archivo a Meta (para mandarlo después como documento por id)
+async function graphUploadMedia(buffer, mime, filename) {
+  const url = `https://graph.facebook.com/${GRAPH_VERSION}/${WA_PHONE_NUMBER_ID}/media`;
+  const form = new FormData();
+  form.append('messaging_product', 'whatsapp');
+  form.append('type', mime);
+  form.append('file', new Blob([buffer], { type: mime }), filename);
+
+  let resp;
+  try {
+    resp = await fetch(url, { method: 'POST', headers: { Authorization: `Bearer ${WA_ACCESS_TOKEN}` }, body: form });
+  } catch (e) {
+    return { ok: false, status: 0, err: { message: String(e?.message || e) } };
+  }
+  let j = {};
+  try {
+    j = await resp.json();
+  } catch {}
+  if (!resp.ok || !j.id) return { ok: false, status: resp.status, err: j };
+  return { ok: true, id: j.id };
+}
+
+async function recordOutbound(rec) {
+  const r = await storage.putRecord(OUTBOUND_COLLECTION, rec.msg_id, rec);
+  if (!r.ok) log('error', 'outbound_save_failed', { msg_id: rec.msg_id, reason: r.reason });
+  await appendEvent(rec.wa_from, rec.case_id, 'wa_status', rec.status, {
+    msg_id: rec.msg_id,
+    kind: rec.kind,
+    path: rec.path || undefined,
+    template: rec.template || undefined,
+    error: rec.error || undefined,
+  });
+}
+
+function graphErrorText(err) {
+  const e = err?.error || err || {};
+  return [e.code, e.message || e.title].filter(Boolean).join(' ').slice(0, 200);
+}
+
+// Envía cualquier mensaje de la Graph API (text, interactive, template, document...)
+async function sendWhatsApp(toWaId, message, opts = {}) {
   if (!WA_ACCESS_TOKEN || !WA_PHONE_NUMBER_ID) {
     log('warn', 'wa_outbound_not_configured', {
       has_WA_ACCESS_TOKEN: !!WA_ACCESS_TOKEN,
@@ -142,42 +306,356 @@ async function sendText(toWaId, text) {
     return { ok: false, reason: 'missing_env' };
   }
 
-  const url = `https://graph.facebook.com/${GRAPH_VERSION}/${WA_PHONE_NUMBER_ID}/messages`;
-  const body = {
-    messaging_product: 'whatsapp',
-    to: toWaId,
-    type: 'text',
-    text: { body: text },
+  const caseId = opts.caseId || (caseCache.has(toWaId) ? caseCache.get(toWaId).caseObj.case_id : '');
+  const kind = opts.kind || 'text';
+  const route = { path: message.type === 'template' ? 'template' : 'free_form', template: message.template?.name || undefined };
+  const body = { messaging_product: 'whatsapp', to: toWaId, ...message };
+
+  const r = await graphSendMessage(body);
+  if (r.ok) {
+    log('info', 'wa_outbound_sent', { to: toWaId, msg_id: r.msgId, ...route });
+    const now = nowISO();
+    await recordOutbound({ msg_id: r.msgId, wa_from: toWaId, case_id: caseId, kind, ...route, status: 'sent', sent_at: now, updated_at: now });
+    return { ok: true, data: r.data, msgId: r.msgId };
+  }
+
+  log('error', 'wa_outbound_failed', { status: r.status, err: r.err });
+
+  // fuera de la ventana de 24 h: quien llama puede reintentar con plantilla (no lo contamos como fallido)
+  if (isWindowError(r.err)) {
+    markWindowClosed(toWaId);
+    if (opts.windowFallback) return { ok: false, windowClosed: true, status: r.status, err: r.err };
+  }
+
+  if (r.transient) {
+    const id = makeId('OUTBOX');
+    const now = Date.now();
+    await storage.putRecord(OUTBOX_COLLECTION, id, {
+      id,
+      wa_from: toWaId,
+      case_id: caseId,
+      kind,
+      ...route,
+      body,
+      attempts: 1,
+      next_at: now + outboxBackoffMs(1),
+      last_error: graphErrorText(r.err) || `http_${r.status}`,
+      created_at: new Date(now).toISOString(),
+    });
+    await appendEvent(toWaId, caseId, 'wa_status', 'queued', { outbox_id: id, kind, status: r.status });
+    return { ok: false, queued: true, status: r.status, err: r.err };
+  }
+
+  const now = nowISO();
+  await recordOutbound({
+    msg_id: makeId('OUT'),
+    wa_from: toWaId,
+    case_id: caseId,
+    kind,
+    ...route,
+    status: 'failed',
+    sent_at: now,
+    updated_at: now,
+    error: graphErrorText(r.err) || `http_${r.status}`,
+  });
+  return { ok: false, status: r.status, err: r.err };
+}
+
+// Texto libre; con la ventana cerrada va la plantilla de ese kind (o la "default") con el texto en {text}.
+// opts.skipOutsideWindow: aviso que el mensaje siguiente ya cubre; fuera de la ventana no se manda.
+async function sendText(toWaId, text, opts = {}) {
+  if (isDevSimulated(toWaId)) {
+    devCaptures.get(toWaId).push(String(text));
+    log('info', 'dev_outbound_captured', { to: toWaId });
+    return { ok: true, simulated: true };
+  }
+
+  const tpl = templateFor(opts.kind);
+  if ((await windowOpen(toWaId)) === false) {
+    if (opts.skipOutsideWindow) {
+      log('info', 'wa_skipped_outside_window', { to: toWaId, kind: opts.kind || 'text' });
+      return { ok: true, skipped: true };
+    }
+    if (tpl) return sendTemplateInstead(toWaId, tpl, text, opts, 'window_closed');
+    log('warn', 'wa_window_closed_no_template', { to: toWaId, kind: opts.kind || 'text' });
+  }
+
+  const r = await sendWhatsApp(toWaId, { type: 'text', text: { body: text } }, { ...opts, windowFallback: !!tpl || !!opts.skipOutsideWindow });
+  if (!r.windowClosed) return r;
+  if (opts.skipOutsideWindow) {
+    log('info', 'wa_skipped_outside_window', { to: toWaId, kind: opts.kind || 'text' });
+    return { ok: true, skipped: true };
+  }
+  return sendTemplateInstead(toWaId, tpl, text, opts, 'reengagement_error');
+}
+
+// Documento adjunto (el .ics del turno). Es un extra: fuera de la ventana de 24 h no se manda (no hay plantilla).
+async function sendDocument(toWaId, { content, mime, filename, caption }, opts = {}) {
+  if (isDevSimulated(toWaId)) {
+    devCaptures.get(toWaId).push(`📎 ${filename}${caption ? ` — ${caption}` : ''}`);
+    log('info', 'dev_outbound_captured', { to: toWaId });
+    return { ok: true, simulated: true };
+  }
+  if (!WA_ACCESS_TOKEN || !WA_PHONE_NUMBER_ID) {
+    log('warn', 'wa_outbound_not_configured', { has_WA_ACCESS_TOKEN: !!WA_ACCESS_TOKEN, has_WA_PHONE_NUMBER_ID: !!WA_PHONE_NUMBER_ID });
+    return { ok: false, reason: 'missing_env' };
+  }
+
+  const skipped = () => {
+    log('info', 'wa_skipped_outside_window', { to: toWaId, kind: opts.kind || 'document' });
+    return { ok: true, skipped: true };
   };
+  if ((await windowOpen(toWaId)) === false) return skipped();
 
-  const resp = await fetch(url, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${WA_ACCESS_TOKEN}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(body),
+  const up = await graphUploadMedia(Buffer.from(content), mime, filename);
+  if (!up.ok) {
+    log('error', 'wa_media_upload_failed', { to: toWaId, status: up.status, err: up.err });
+    return { ok: false, reason: 'upload_failed' };
+  }
+
+  const doc = { id: up.id, filename, ...(caption ? { caption } : {}) };
+  const r = await sendWhatsApp(toWaId, { type: 'document', document: doc }, { kind: 'document', ...opts, windowFallback: true });
+  return r.windowClosed ? skipped() : r;
+}
+
+// ---------- Plantillas ----------
+// whatsapp_templates (config): { name, language, body: ["{receipt}", ...], buttons: [{ type, value }] }.
+// Cada string es un parámetro en orden ({{1}}, {{2}}...) y puede usar las variables de TEMPLATE_VARS.
+const TEMPLATE_VARS = ['text', 'clinic', 'receipt', 'label', 'case_id'];
+
+function templateFor(kind) {
+  return WA_TEMPLATES[kind] || WA_TEMPLATES.default || null;
+}
+
+// Meta no acepta saltos de línea ni más de 4 espacios seguidos en un parámetro
+function templateParam(s, vars) {
+  const t = String(s || '')
+    .replace(/\{(\w+)\}/g, (_, k) => (vars[k] == null ? '' : String(vars[k])))
+    .replace(/\s*\n+\s*/g, ' · ')
+    .replace(/\s{4,}/g, '   ')
+    .trim();
+  return clip(t, 1000) || '-';
+}
+
+function templateMessage(tpl, vars) {
+  const components = [];
+  if (tpl.body && tpl.body.length) {
+    components.push({ type: 'body', parameters: tpl.body.map((s) => ({ type: 'text', text: templateParam(s, vars) })) });
+  }
+  (tpl.buttons || []).forEach((b, i) => {
+    const value = templateParam(b.value, vars);
+    components.push({
+      type: 'button',
+      sub_type: b.type,
+      index: String(i),
+      parameters: [b.type === 'url' ? { type: 'text', text: value } : { type: 'payload', payload: value }],
+    });
   });
+  return {
+    type: 'template',
+    template: { name: tpl.name, language: { code: tpl.language }, ...(components.length ? { components } : {}) },
+  };
+}
 
-  if (!resp.ok) {
-    let j = {};
-    try {
-      j = await resp.json();
-    } catch {}
-    log('error', 'wa_outbound_failed', { status: resp.status, err: j });
-    return { ok: false, status: resp.status, err: j };
+async function sendTemplate(toWaId, tpl, opts = {}) {
+  const message = templateMessage(tpl, { clinic: CEPA.short, ...opts.vars });
+  if (isDevSimulated(toWaId)) {
+    const params = (message.template.components || []).flatMap((c) => c.parameters.map((x) => x.text || x.payload));
+    devCaptures.get(toWaId).push(`[plantilla ${tpl.name}] ${params.join(' | ')}`);
+    log('info', 'dev_outbound_captured', { to: toWaId, template: tpl.name });
+    return { ok: true, simulated: true };
   }
+  return sendWhatsApp(toWaId, message, opts);
+}
 
-  const data = await resp.json();
-  log('info', 'wa_outbound_sent', { to: toWaId, msg_id: data?.messages?.[0]?.id });
-  return { ok: true, data };
+function sendTemplateInstead(toWaId, tpl, text, opts, reason) {
+  log('info', 'wa_template_fallback', { to: toWaId, kind: opts.kind || 'text', template: tpl.name, reason });
+  const caseId = opts.caseId || (caseCache.has(toWaId) ? caseCache.get(toWaId).caseObj.case_id : '');
+  return sendTemplate(toWaId, tpl, { ...opts, vars: { text, case_id: caseId, ...opts.vars } });
 }
 
-const DEPOSIT_ON = normalize(DEPOSIT_REQUIRED) !== 'false';
-const DEPOSIT_VALUE = (() => {
-  const n = Number(String(DEPOSIT_AMOUNT || '').replace(/[^\d]/g, ''));
-  return Number.isFinite(n) && n > 0 ? n : 10000;
-})();
+// ---------- Ventana de 24 h ----------
+// Meta acepta texto libre hasta 24 h después del último mensaje del paciente; después, solo plantillas.
+// Último entrante en memoria y en `patients.last_inbound_at` (se escribe cada 5 min como mucho).
+const WA_WINDOW_MS = 24 * 60 * 60 * 1000 - 5 * 60 * 1000; // 5 min de margen
+const INBOUND_SAVE_EVERY_MS = 5 * 60 * 1000;
+const WA_WINDOW_ERROR_CODE = 131047; // "Re-engagement message"
+const lastInbound = new Map(); // waId -> { at, savedAt }
+
+async function noteInbound(waId, at = Date.now()) {
+  const prev = lastInbound.get(waId);
+  if (prev && prev.at >= at) return;
+  const cur = { at, savedAt: prev ? prev.savedAt : 0 };
+  lastInbound.set(waId, cur);
+  if (at - cur.savedAt < INBOUND_SAVE_EVERY_MS) return;
+  cur.savedAt = at;
+  await savePatient(waId, { last_inbound_at: new Date(at).toISOString() });
+}
+
+// true/false; null si nunca lo registramos (contactos de antes): se intenta texto y, si Meta lo rechaza, plantilla
+async function windowOpen(waId) {
+  let cur = lastInbound.get(waId);
+  if (!cur) {
+    const p = await getPatient(waId);
+    const at = p && p.last_inbound_at ? Date.parse(p.last_inbound_at) : NaN;
+    if (!Number.isFinite(at)) return null;
+    cur = { at, savedAt: at };
+    lastInbound.set(waId, cur);
+  }
+  return Date.now() - cur.at < WA_WINDOW_MS;
+}
+
+function markWindowClosed(waId) {
+  const cur = lastInbound.get(waId);
+  lastInbound.set(waId, { at: 0, savedAt: cur ? cur.savedAt : 0 });
+}
+
+function isWindowError(err) {
+  const e = err?.error || err || {};
+  return Number(e.code) === WA_WINDOW_ERROR_CODE;
+}
+
+// Reintento de un ítem del outbox (dentro de la cola del waId)
+async function retryOutboxItem(id) {
+  const item = await storage.getRecord(OUTBOX_COLLECTION, id);
+  if (!item) return; // otra instancia ya lo mandó
+
+  const r = await graphSendMessage(item.body);
+  const now = nowISO();
+
+  if (r.ok) {
+    await storage.deleteRecord(OUTBOX_COLLECTION, id);
+    log('info', 'wa_outbox_sent', { outbox_id: id, attempts: item.attempts + 1, msg_id: r.msgId });
+    await recordOutbound({
+      msg_id: r.msgId,
+      wa_from: item.wa_from,
+      case_id: item.case_id,
+      kind: item.kind,
+      path: item.path,
+      template: item.template,
+      status: 'sent',
+      sent_at: now,
+      updated_at: now,
+      outbox_id: id,
+    });
+    return;
+  }
+
+  const attempts = item.attempts + 1;
+  const error = graphErrorText(r.err) || `http_${r.status}`;
+
+  if (r.transient && attempts < OUTBOX_MAX_ATTEMPTS) {
+    await storage.putRecord(OUTBOX_COLLECTION, id, { ...item, attempts, next_at: Date.now() + outboxBackoffMs(attempts), last_error: error });
+    log('warn', 'wa_outbox_retry_failed', { outbox_id: id, attempts, status: r.status });
+    return;
+  }
+
+  await storage.deleteRecord(OUTBOX_COLLECTION, id);
+  log('error', 'wa_outbox_gave_up', { outbox_id: id, attempts, status: r.status });
+  await recordOutbound({
+    msg_id: id,
+    wa_from: item.wa_from,
+    case_id: item.case_id,
+    kind: item.kind,
+    path: item.path,
+    template: item.template,
+    status: 'failed',
+    sent_at: item.created_at,
+    updated_at: now,
+    error,
+    outbox_id: id,
+  });
+}
+
+let outboxRunning = false;
+async function processOutbox() {
+  if (outboxRunning || !WA_ACCESS_TOKEN || !WA_PHONE_NUMBER_ID) return;
+  outboxRunning = true;
+  try {
+    const now = Date.now();
+    for (const item of await storage.listRecords(OUTBOX_COLLECTION)) {
+      if (Number(item.next_at) > now) continue;
+      await withKeyLock(item.wa_from, () => retryOutboxItem(item.id)).catch((e) =>
+        log('error', 'wa_outbox_failed', { outbox_id: item.id, err: String(e?.message || e) })
+      );
+    }
+  } catch (e) {
+    log('error', 'wa_outbox_failed', { err: String(e?.message || e) });
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+setInterval(processOutbox, OUTBOX_EVERY_MS).unref();
+
+// statuses del webhook de Meta: solo avanzan (pueden llegar desordenados); failed solo antes de delivered
+async function recordStatusUpdate(st) {
+  const msgId = String(st?.id || '');
+  const status = String(st?.status || '');
+  if (!msgId || !(status in WA_STATUS_RANK || status === 'failed')) return;
+
+  const rec = await storage.getRecord(OUTBOUND_COLLECTION, msgId);
+  if (!rec) {
+    log('info', 'wa_status_unknown_msg', { msg_id: msgId, status });
+    return;
+  }
+
+  const cur = WA_STATUS_RANK[rec.status] || 0;
+  const advances = status === 'failed' ? cur < WA_STATUS_RANK.delivered && rec.status !== 'failed' : WA_STATUS_RANK[status] > cur;
+  if (!advances) return;
+
+  const errors = Array.isArray(st.errors) ? st.errors : [];
+  await recordOutbound({
+    ...rec,
+    status,
+    updated_at: nowISO(),
+    error: errors.length ? errors.map(graphErrorText).join('; ') : rec.error || '',
+  });
+}
+
+// outbound crece con cada mensaje: lo entregado/leído deja de importar pasada la ventana de 24 h (no hay más
+// reintento ni aviso posible) y lo demás (failed, sent sin confirmar) queda una semana para el panel.
+// Se borra de a tandas para no pasar la cuota de escritura de Sheets.
+const OUTBOUND_KEEP_FAILED_MS = 7 * 24 * 60 * 60 * 1000;
+const OUTBOUND_PRUNE_EVERY_MS = 60 * 60 * 1000;
+const OUTBOUND_PRUNE_BATCH = 50;
+const OUTBOUND_LIST_TTL_MS = 30 * 1000;
+let outboundList = null; // { at, items }: lectura completa cacheada (panel de no entregados)
+
+async function listOutbound() {
+  if (outboundList && Date.now() - outboundList.at < OUTBOUND_LIST_TTL_MS) return outboundList.items;
+  const items = await storage.listRecords(OUTBOUND_COLLECTION);
+  outboundList = { at: Date.now(), items };
+  return items;
+}
+
+function outboundPrunable(o, now) {
+  const t = Date.parse(o.updated_at || o.sent_at || '');
+  if (!Number.isFinite(t)) return false;
+  if (o.status === 'delivered' || o.status === 'read') return now - t > WA_WINDOW_MS;
+  return now - t > OUTBOUND_KEEP_FAILED_MS;
+}
+
+let outboundPruneRunning = false;
+async function pruneOutbound() {
+  if (outboundPruneRunning) return;
+  outboundPruneRunning = true;
+  try {
+    const now = Date.now();
+    const old = (await storage.listRecords(OUTBOUND_COLLECTION)).filter((o) => outboundPrunable(o, now)).slice(0, OUTBOUND_PRUNE_BATCH);
+    for (const o of old) await storage.deleteRecord(OUTBOUND_COLLECTION, o.id);
+    if (old.length) {
+      outboundList = null;
+      log('info', 'wa_outbound_pruned', { count: old.length });
+    }
+  } catch (e) {
+    log('error', 'wa_outbound_prune_failed', { err: String(e?.message || e) });
+  } finally {
+    outboundPruneRunning = false;
+  }
+}
+
+setInterval(pruneOutbound, OUTBOUND_PRUNE_EVERY_MS).unref();
 
 const PAYMENT_WINDOW_MS = (() => {
   const mins = Number(String(PAYMENT_WINDOW_MINUTES || '60').replace(/[^\d]/g, ''));
@@ -189,9 +667,53 @@ const PAYMENT_WINDOW_MS = (() => {
 const SHEET_CASES = 'cases';
 const SHEET_EVENTS = 'events';
 
-// cases A:N
+// cases A:P
 // A created_at, B case_id, C wa_from, D flow_type, E patient_type, F os_name, G os_token, H service_label,
-// I deposit_amount, J payment_link, K payment_op_id, L status, M last_message, N updated_at
+// I deposit_amount, J payment_link, K payment_op_id, L status, M last_message, N updated_at,
+// O affiliate_number, P dni
+// (columnas nuevas siempre al final: las filas viejas siguen leyéndose igual)
+const CASE_FIELDS = [
+  'created_at',
+  'case_id',
+  'wa_from',
+  'flow_type',
+  'patient_type',
+  'os_name',
+  'os_token',
+  'service_label',
+  'deposit_amount',
+  'payment_link',
+  'payment_op_id',
+  'status',
+  'last_message',
+  'updated_at',
+  'affiliate_number',
+  'dni',
+  'payment_expires_at',
+  'appointment_at',
+  'cancelled_at',
+  'refund_status', // refunded | refund_failed | kept | not_paid
+  'refund_id',
+  'refund_amount',
+  'reschedule_count',
+  'reschedule_history', // JSON: [{ at, by, from, to }]
+  'slot_id', // agenda propia: id en la colección slots
+  'professional',
+  'handoff_at', // cuándo pasó a recepción (el panel lo lee de acá, sin recorrer events)
+];
+const CASE_DEFAULTS = { flow_type: 'whatsapp', status: 'lead' };
+
+function colLetter(n) {
+  let s = '';
+  for (let x = n; x > 0; x = Math.floor((x - 1) / 26)) s = String.fromCharCode(65 + ((x - 1) % 26)) + s;
+  return s;
+}
+
+function caseCol(field) {
+  return colLetter(CASE_FIELDS.indexOf(field) + 1);
+}
+
+const CASE_LAST_COL = colLetter(CASE_FIELDS.length);
 
 function getServiceAccount() {
   if (GSHEET_SA_JSON_BASE64) {
@@ -227,14 +749,20 @@ async function getSheetsClient() {
   return sheetsClientPromise;
 }
 
+// Una lectura que falla (cuota, red, credenciales) sigue siendo un error para quien llama, con la hoja en el mensaje
 async function sheetGet(range) {
   const sheets = await getSheetsClient();
   if (!sheets) return { ok: false, reason: 'missing_gsheet_env' };
-  const r = await sheets.spreadsheets.values.get({
-    spreadsheetId: SPREADSHEET_ID,
-    range,
-  });
-  return { ok: true, values: r.data.values || [] };
+  try {
+    const r = await sheets.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range,
+    });
+    return { ok: true, values: r.data.values || [] };
+  } catch (e) {
+    log('error', 'gsheet_get_failed', { err: String(e?.message || e), range });
+    throw new Error(`gsheet_get_failed ${range}: ${e?.message || e}`);
+  }
 }
 
 async function sheetAppend(range, values) {
@@ -259,28 +787,31 @@ async function sheetAppend(range, values) {
   }
 }
 
-async function sheetUpdateRow(rowNumber, values) {
+async function sheetUpdateRange(range, rows) {
   try {
     const sheets = await getSheetsClient();
     if (!sheets) return { ok: false, reason: 'missing_gsheet_env' };
 
-    const range = `${SHEET_CASES}!A${rowNumber}:N${rowNumber}`;
     log('info', 'gsheet_update', { range });
 
     await sheets.spreadsheets.values.update({
       spreadsheetId: SPREADSHEET_ID,
       range,
       valueInputOption: 'RAW',
-      requestBody: { values: [values] },
+      requestBody: { values: rows },
     });
 
     return { ok: true };
   } catch (e) {
-    log('error', 'gsheet_update_failed', { err: String(e?.message || e), rowNumber });
+    log('error', 'gsheet_update_failed', { err: String(e?.message || e), range });
     return { ok: false, reason: 'update_failed' };
   }
 }
 
+async function sheetUpdateRow(rowNumber, values) {
+  return sheetUpdateRange(`${SHEET_CASES}!A${rowNumber}:${CASE_LAST_COL}${rowNumber}`, [values]);
+}
+
 async function sheetBatchUpdate(pairs) {
   try {
     const sheets = await getSheetsClient();
@@ -301,6 +832,48 @@ async function sheetBatchUpdate(pairs) {
   }
 }
 
+async function sheetClear(range) {
+  try {
+    const sheets = await getSheetsClient();
+    if (!sheets) return { ok: false, reason: 'missing_gsheet_env' };
+    await sheets.spreadsheets.values.clear({ spreadsheetId: SPREADSHEET_ID, range });
+    return { ok: true };
+  } catch (e) {
+    log('error', 'gsheet_clear_failed', { err: String(e?.message || e), range });
+    return { ok: false, reason: 'clear_failed' };
+  }
+}
+
+// Crea la pestaña (con encabezados) si todavía no existe
+const knownTabs = new Set();
+async function sheetEnsureTab(title, header) {
+  if (knownTabs.has(title)) return { ok: true };
+  const sheets = await getSheetsClient();
+  if (!sheets) return { ok: false, reason: 'missing_gsheet_env' };
+
+  const meta = await sheets.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID, fields: 'sheets.properties.title' });
+  for (const s of meta.data.sheets || []) knownTabs.add(s.properties.title);
+  if (knownTabs.has(title)) return { ok: true };
+
+  log('info', 'gsheet_add_tab', { title });
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: SPREADSHEET_ID,
+    requestBody: { requests: [{ addSheet: { properties: { title } } }] },
+  });
+  knownTabs.add(title);
+  return sheetUpdateRange(`${title}!A1:${colLetter(header.length)}1`, [header]);
+}
+
+// "cases!A12:P12" -> 12
+function rowFromUpdatedRange(range) {
+  const m = String(range || '').match(/![A-Z]+(\d+)/);
+  return m ? Number(m[1]) : 0;
+}
+
+function hasSheetsEnv() {
+  return !!SPREADSHEET_ID && (!!GSHEET_SA_JSON_BASE64 || (!!GSHEET_CLIENT_EMAIL && !!GSHEET_PRIVATE_KEY));
+}
+
 function normalizeRowLen(arr, len) {
   const v = Array.isArray(arr) ? [...arr] : [];
   while (v.length < len) v.push('');
@@ -308,180 +881,696 @@ function normalizeRowLen(arr, len) {
 }
 
 function rowToCaseObj(row) {
-  const v = normalizeRowLen(row, 14);
-  return {
-    created_at: v[0] || '',
-    case_id: v[1] || '',
-    wa_from: v[2] || '',
-    flow_type: v[3] || 'whatsapp',
-    patient_type: v[4] || '',
-    os_name: v[5] || '',
-    os_token: v[6] || '',
-    service_label: v[7] || '',
-    deposit_amount: v[8] || '',
-    payment_link: v[9] || '',
-    payment_op_id: v[10] || '',
-    status: v[11] || 'lead',
-    last_message: v[12] || '',
-    updated_at: v[13] || '',
-  };
+  const v = normalizeRowLen(row, CASE_FIELDS.length);
+  const c = {};
+  CASE_FIELDS.forEach((f, i) => {
+    c[f] = v[i] || CASE_DEFAULTS[f] || '';
+  });
+  return c;
 }
 
 function caseObjToRow(c) {
   return normalizeRowLen(
-    [
-      c.created_at,
-      c.case_id,
-      c.wa_from,
-      c.flow_type,
-      c.patient_type,
-      c.os_name,
-      c.os_token,
-      c.service_label,
-      c.deposit_amount,
-      c.payment_link,
-      c.payment_op_id,
-      c.status,
-      c.last_message,
-      c.updated_at,
-    ],
-    14
+    CASE_FIELDS.map((f) => c[f]),
+    CASE_FIELDS.length
   );
 }
 
-// Cache: waId -> { rowNumber, caseObj }
-const caseCache = new Map();
+// events A:G -> A event_id, B ts, C case_id, D wa_from, E type, F preview, G payload_json
+const EVENT_FIELDS = ['event_id', 'ts', 'case_id', 'wa_from', 'type', 'preview', 'payload'];
+
+function rowToEvent(row) {
+  const v = normalizeRowLen(row, EVENT_FIELDS.length);
+  const ev = {};
+  EVENT_FIELDS.forEach((f, i) => {
+    ev[f] = v[i] || '';
+  });
+  return ev;
+}
+
+function eventToRow(ev) {
+  return EVENT_FIELDS.map((f) => String(ev[f] == null ? '' : ev[f]));
+}
+
+// Lecturas completas para el panel (cache corto: admin.js hace polling)
+const SHEET_READ_TTL_MS = 5 * 1000;
+const sheetReadCache = new Map(); // range -> { at, values }
 
-async function findCaseRowByWa(waId) {
-  const r = await sheetGet(`${SHEET_CASES}!B:C`);
-  if (!r.ok) return null;
+async function sheetGetCached(range) {
+  const hit = sheetReadCache.get(range);
+  if (hit && Date.now() - hit.at < SHEET_READ_TTL_MS) return { ok: true, values: hit.values };
+  const r = await sheetGet(range);
+  if (r.ok) sheetReadCache.set(range, { at: Date.now(), values: r.values });
+  return r;
+}
+
+// ================= Storage =================
+// Toda la persistencia pasa por `storage` (ver STORAGE_BACKEND al final de la sección).
+// Interfaz, todo async:
+//   findCaseByWa(waId) (el último) / findCaseById(caseId) -> caseObj | null
+//   insertCase(c) / updateCase(c) / touchCase(caseId, lastMessage, ts) -> { ok, reason? }
+//   listCases()                                      -> caseObj[]
+//   appendEvent(ev) -> { ok }   listEvents()         -> ev[] (EVENT_FIELDS)
+//   getRecord(col, id) / putRecord(col, id, obj) / deleteRecord(col, id) / listRecords(col)
+//     colecciones clave -> objeto (sessions, ...)
+//   warm() al arrancar, metrics() para /api/admin/metrics
+const RECORD_HEADER = ['id', 'json', 'updated_at'];
+
+function createSheetsStorage() {
+  // col -> Map(id -> rowNumber). Se arma una vez por colección y se mantiene con lo que escribe este proceso; se
+  // re-indexa solo ante un conflicto: la fila ya no tiene ese id o un append cayó más abajo de lo esperado (otra
+  // instancia agregó filas). Cada lectura completa (listRecords) también lo refresca.
+  const recordRows = new Map();
+  const recordNextRow = new Map(); // col -> fila donde debería caer el próximo append
+
+  // Índice de la hoja cases: caseId -> fila, waId -> fila (último caso de ese número).
+  // Se arma al arrancar (warm), se actualiza con cada append y se rehace cada SHEETS_INDEX_REFRESH_MINUTES.
+  const caseIndex = { byId: new Map(), byWa: new Map(), builtAt: 0, building: null };
+  const indexStats = { hits: 0, misses: 0, rebuilds: 0, stale: 0 };
+  const INDEX_MISS_REBUILD_MS = 30 * 1000; // un miss vuelve a leer la hoja como mucho cada 30s
+
+  function rebuildCaseIndex() {
+    if (caseIndex.building) return caseIndex.building;
+    caseIndex.building = (async () => {
+      try {
+        const r = await sheetGet(`${SHEET_CASES}!B:C`);
+        if (!r.ok) return;
+        const values = r.values || [];
+        const byId = new Map();
+        const byWa = new Map();
+        values.forEach((row, i) => {
+          if (i === 0 || !row[0]) return;
+          byId.set(String(row[0]), i + 1);
+          const wa = String(row[1] || '');
+          if (wa) byWa.set(wa, i + 1);
+        });
+        // appends que llegaron mientras leíamos
+        for (const [k, rn] of caseIndex.byId) if (rn > values.length && !byId.has(k)) byId.set(k, rn);
+        for (const [k, rn] of caseIndex.byWa) if (rn > values.length && rn > (byWa.get(k) || 0)) byWa.set(k, rn);
+
+        caseIndex.byId = byId;
+        caseIndex.byWa = byWa;
+        caseIndex.builtAt = Date.now();
+        indexStats.rebuilds++;
+      } finally {
+        caseIndex.building = null;
+      }
+    })();
+    return caseIndex.building;
+  }
 
-  const values = r.values || [];
-  for (let i = 1; i < values.length; i++) {
-    const row = values[i] || [];
-    const caseId = row[0] || '';
-    const wa = row[1] || '';
-    if (String(wa) === String(waId)) {
-      const rowNumber = i + 1;
-      return { rowNumber, caseId };
+  async function lookupRow(which, key) {
+    if (!caseIndex.builtAt) await rebuildCaseIndex();
+    const rn = caseIndex[which].get(key);
+    if (rn) {
+      indexStats.hits++;
+      return rn;
     }
+    indexStats.misses++;
+    // otra instancia (o alguien a mano) pudo haber agregado la fila
+    if (Date.now() - caseIndex.builtAt < INDEX_MISS_REBUILD_MS) return 0;
+    await rebuildCaseIndex();
+    return caseIndex[which].get(key) || 0;
   }
-  return null;
-}
 
-async function findCaseRowByCaseId(caseId) {
-  const r = await sheetGet(`${SHEET_CASES}!B:C`);
-  if (!r.ok) return null;
+  async function loadCaseRow(rowNumber) {
+    const r = await sheetGet(`${SHEET_CASES}!A${rowNumber}:${CASE_LAST_COL}${rowNumber}`);
+    if (!r.ok) return null;
+    return rowToCaseObj(r.values && r.values[0] ? r.values[0] : []);
+  }
 
-  const values = r.values || [];
-  for (let i = 1; i < values.length; i++) {
-    const row = values[i] || [];
-    const cid = row[0] || '';
-    const wa = row[1] || '';
-    if (String(cid) === String(caseId)) {
-      const rowNumber = i + 1;
-      return { rowNumber, waId: wa };
+  // Lee la fila indexada y confirma que sea la que buscamos (si movieron filas a mano, re-indexa una vez)
+  async function loadIndexed(which, key, field) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const rn = await lookupRow(which, key);
+      if (!rn) return null;
+      const c = await loadCaseRow(rn);
+      if (c && c[field] === key) return c;
+      indexStats.stale++;
+      await rebuildCaseIndex();
     }
+    return null;
   }
-  return null;
-}
 
-async function loadCaseFromSheet(rowNumber) {
-  const r = await sheetGet(`${SHEET_CASES}!A${rowNumber}:N${rowNumber}`);
-  if (!r.ok) return null;
-  const row = r.values && r.values[0] ? r.values[0] : [];
-  return rowToCaseObj(row);
-}
+  function indexRecordRows(col, values) {
+    const idx = new Map();
+    values.forEach((row, i) => {
+      if (i > 0 && row[0]) idx.set(String(row[0]), i + 1);
+    });
+    recordRows.set(col, idx);
+    recordNextRow.set(col, Math.max(values.length, 1) + 1);
+    return idx;
+  }
 
-async function ensureCase(waId) {
-  if (caseCache.has(waId)) return caseCache.get(waId);
+  async function recordIndex(col) {
+    if (recordRows.has(col)) return recordRows.get(col);
+    await sheetEnsureTab(col, RECORD_HEADER);
+    const r = await sheetGet(`${col}!A:A`);
+    return indexRecordRows(col, r.values || []);
+  }
 
-  const found = await findCaseRowByWa(waId);
-  if (found) {
-    const caseObj = await loadCaseFromSheet(found.rowNumber);
-    if (caseObj && caseObj.case_id) {
-      const pack = { rowNumber: found.rowNumber, caseObj };
-      caseCache.set(waId, pack);
-      return pack;
+  async function recordRowOf(col, id) {
+    return (await recordIndex(col)).get(id) || 0;
+  }
+
+  // [id, json, updated_at] de la fila del índice; si la fila ya es de otro id, re-indexa una vez y reintenta
+  async function readRecordRow(col, id) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const rn = await recordRowOf(col, id);
+      if (!rn) return null;
+      const r = await sheetGet(`${col}!A${rn}:C${rn}`);
+      const row = r.ok && r.values && r.values[0] ? r.values[0] : [];
+      if (String(row[0] || '') === id) return row;
+      recordRows.delete(col);
     }
+    return null;
   }
 
-  const caseId = makeId('CASE');
-  const now = nowISO();
+  function parseRecord(json) {
+    try {
+      return json ? JSON.parse(json) : null;
+    } catch {
+      return null;
+    }
+  }
 
-  const newCase = {
-    created_at: now,
-    case_id: caseId,
-    wa_from: waId,
-    flow_type: 'whatsapp',
-    patient_type: '',
-    os_name: '',
-    os_token: '',
-    service_label: '',
-    deposit_amount: DEPOSIT_ON ? String(DEPOSIT_VALUE) : '',
-    payment_link: '',
-    payment_op_id: '',
-    status: 'lead',
-    last_message: '',
-    updated_at: now,
-  };
+  return {
+    kind: 'sheets',
+
+    async warm() {
+      try {
+        await rebuildCaseIndex();
+        log('info', 'gsheet_index_warmed', { cases: caseIndex.byId.size });
+      } catch (e) {
+        log('error', 'gsheet_index_failed', { err: String(e?.message || e) });
+      }
+      const every = Number(SHEETS_INDEX_REFRESH_MINUTES) > 0 ? Number(SHEETS_INDEX_REFRESH_MINUTES) : 10;
+      setInterval(() => {
+        rebuildCaseIndex().catch((e) => log('error', 'gsheet_index_failed', { err: String(e?.message || e) }));
+      }, every * 60 * 1000).unref();
+    },
 
-  await sheetAppend(`${SHEET_CASES}!A:N`, caseObjToRow(newCase));
+    metrics() {
+      return {
+        case_index: {
+          ...indexStats,
+          size: caseIndex.byId.size,
+          built_at: caseIndex.builtAt ? new Date(caseIndex.builtAt).toISOString() : '',
+        },
+      };
+    },
 
-  const foundAfter = await findCaseRowByWa(waId);
-  const rowNumber = foundAfter ? foundAfter.rowNumber : 2;
+    async findCaseByWa(waId) {
+      return loadIndexed('byWa', String(waId), 'wa_from');
+    },
 
-  const pack = { rowNumber, caseObj: newCase };
-  caseCache.set(waId, pack);
-  return pack;
-}
+    async findCaseById(caseId) {
+      return loadIndexed('byId', String(caseId), 'case_id');
+    },
 
-async function upsertCase(waId, patch) {
+    async insertCase(c) {
+      const r = await sheetAppend(`${SHEET_CASES}!A:${CASE_LAST_COL}`, caseObjToRow(c));
+      if (!r.ok) return r;
+      let rn = rowFromUpdatedRange(r.updatedRange);
+      if (!rn) {
+        await rebuildCaseIndex();
+        rn = caseIndex.byId.get(c.case_id) || 0;
+      }
+      if (!rn) return { ok: false, reason: 'row_not_found' };
+      caseIndex.byId.set(c.case_id, rn);
+      caseIndex.byWa.set(c.wa_from, rn);
+      return { ok: true };
+    },
+
+    async updateCase(c) {
+      const rn = await lookupRow('byId', c.case_id);
+      if (!rn) return { ok: false, reason: 'case_not_found' };
+      return sheetUpdateRow(rn, caseObjToRow(c));
+    },
+
+    async touchCase(caseId, lastMessage, ts) {
+      const rn = await lookupRow('byId', caseId);
+      if (!rn) return { ok: false, reason: 'case_not_found' };
+      return sheetBatchUpdate([
+        { range: `${SHEET_CASES}!${caseCol('last_message')}${rn}`, values: [[String(lastMessage || '')]] },
+        { range: `${SHEET_CASES}!${caseCol('updated_at')}${rn}`, values: [[ts]] },
+      ]);
+    },
+
+    async listCases() {
+      const r = await sheetGetCached(`${SHEET_CASES}!A:${CASE_LAST_COL}`);
+      if (!r.ok) return [];
+      return (r.values || [])
+        .slice(1)
+        .map(rowToCaseObj)
+        .filter((c) => c.case_id);
+    },
+
+    async appendEvent(ev) {
+      return sheetAppend(`${SHEET_EVENTS}!A:G`, eventToRow(ev));
+    },
+
+    async listEvents() {
+      const r = await sheetGetCached(`${SHEET_EVENTS}!A:G`);
+      if (!r.ok) return [];
+      return (r.values || []).slice(1).map(rowToEvent);
+    },
+
+    async getRecord(col, id) {
+      const row = await readRecordRow(col, String(id));
+      return row ? parseRecord(row[1]) : null;
+    },
+
+    async putRecord(col, id, obj) {
+      const row = [String(id), JSON.stringify(obj), nowISO()];
+      const rn = await recordRowOf(col, String(id));
+      if (rn) return sheetUpdateRange(`${col}!A${rn}:C${rn}`, [row]);
+
+      const r = await sheetAppend(`${col}!A:C`, row);
+      const idx = await recordIndex(col);
+      const at = r.ok ? rowFromUpdatedRange(r.updatedRange) : 0;
+      if (at && at === recordNextRow.get(col)) {
+        idx.set(String(id), at);
+        recordNextRow.set(col, at + 1);
+      } else {
+        recordRows.delete(col); // otra instancia escribió (o no sabemos dónde cayó): la próxima lectura re-indexa
+      }
+      return r;
+    },
+
+    async deleteRecord(col, id) {
+      const idx = await recordIndex(col);
+      const rn = idx.get(String(id));
+      if (!rn) return { ok: true };
+      idx.delete(String(id));
+      return sheetClear(`${col}!A${rn}:C${rn}`);
+    },
+
+    async listRecords(col) {
+      await sheetEnsureTab(col, RECORD_HEADER);
+      const r = await sheetGet(`${col}!A:C`);
+      if (!r.ok) return [];
+      indexRecordRows(col, r.values || []);
+      return (r.values || [])
+        .slice(1)
+        .filter((row) => row[0])
+        .map((row) => ({ id: String(row[0]), ...parseRecord(row[1]) }));
+    },
+  };
+}
+
+// Archivos en DATA_DIR: store.json (cases + colecciones, se reescribe atómico) y events.jsonl (append)
+function createLocalStorage(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const dbFile = path.join(dir, 'store.json');
+  const eventsFile = path.join(dir, 'events.jsonl');
+
+  let db = { cases: [], records: {} };
+  if (fs.existsSync(dbFile)) {
+    db = JSON.parse(fs.readFileSync(dbFile, 'utf8'));
+    db.cases = Array.isArray(db.cases) ? db.cases : [];
+    db.records = db.records && typeof db.records === 'object' ? db.records : {};
+  }
+
+  function save() {
+    const tmp = `${dbFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(db));
+    fs.renameSync(tmp, dbFile);
+    return { ok: true };
+  }
+
+  function safe(what, fn) {
+    try {
+      return fn();
+    } catch (e) {
+      log('error', 'local_store_write_failed', { what, err: String(e?.message || e) });
+      return { ok: false, reason: 'write_failed' };
+    }
+  }
+
+  const copyOf = (c) => (c ? { ...c } : null);
+  const col = (name) => (db.records[name] = db.records[name] || {});
+
+  return {
+    kind: 'local',
+
+    async warm() {},
+
+    metrics() {
+      return { cases: db.cases.length };
+    },
+
+    async findCaseByWa(waId) {
+      return copyOf(db.cases.findLast((c) => c.wa_from === String(waId)));
+    },
+
+    async findCaseById(caseId) {
+      return copyOf(db.cases.find((c) => c.case_id === String(caseId)));
+    },
+
+    async insertCase(c) {
+      db.cases.push({ ...c });
+      return safe('insertCase', save);
+    },
+
+    async updateCase(c) {
+      const i = db.cases.findIndex((x) => x.case_id === c.case_id);
+      if (i < 0) return { ok: false, reason: 'case_not_found' };
+      db.cases[i] = { ...c };
+      return safe('updateCase', save);
+    },
+
+    async touchCase(caseId, lastMessage, ts) {
+      const c = db.cases.find((x) => x.case_id === caseId);
+      if (!c) return { ok: false, reason: 'case_not_found' };
+      c.last_message = String(lastMessage || '');
+      c.updated_at = ts;
+      return safe('touchCase', save);
+    },
+
+    async listCases() {
+      return db.cases.map(copyOf);
+    },
+
+    async appendEvent(ev) {
+      return safe('appendEvent', () => {
+        fs.appendFileSync(eventsFile, JSON.stringify(ev) + '\n');
+        return { ok: true };
+      });
+    },
+
+    async listEvents() {
+      if (!fs.existsSync(eventsFile)) return [];
+      const out = [];
+      for (const line of fs.readFileSync(eventsFile, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          out.push(rowToEvent(eventToRow(JSON.parse(line))));
+        } catch {}
+      }
+      return out;
+    },
+
+    async getRecord(name, id) {
+      const v = col(name)[String(id)];
+      return v ? JSON.parse(JSON.stringify(v)) : null;
+    },
+
+    async putRecord(name, id, obj) {
+      col(name)[String(id)] = JSON.parse(JSON.stringify(obj));
+      return safe('putRecord', save);
+    },
+
+    async deleteRecord(name, id) {
+      if (!(String(id) in col(name))) return { ok: true };
+      delete col(name)[String(id)];
+      return safe('deleteRecord', save);
+    },
+
+    async listRecords(name) {
+      return Object.entries(col(name)).map(([id, v]) => ({ id, ...JSON.parse(JSON.stringify(v)) }));
+    },
+  };
+}
+
+// Local manda; cases/events se copian a Sheets en orden y sin bloquear el chat.
+// Sheets queda como copia para reportes: lo que se edite ahí no vuelve al bot.
+function createMirrorStorage(primary, mirror) {
+  let chain = Promise.resolve();
+  function copy(what, fn) {
+    chain = chain
+      .then(fn)
+      .then((r) => {
+        if (r && r.ok === false) log('warn', 'storage_mirror_failed', { what, reason: r.reason });
+      })
+      .catch((e) => log('warn', 'storage_mirror_failed', { what, err: String(e?.message || e) }));
+  }
+
+  return {
+    ...primary,
+    kind: `${primary.kind}+${mirror.kind}`,
+
+    async warm() {
+      await Promise.all([primary.warm(), mirror.warm()]);
+    },
+
+    metrics() {
+      return { ...primary.metrics(), mirror: mirror.metrics() };
+    },
+
+    async insertCase(c) {
+      const r = await primary.insertCase(c);
+      if (r.ok) copy('insertCase', () => mirror.insertCase(c));
+      return r;
+    },
+
+    async updateCase(c) {
+      const r = await primary.updateCase(c);
+      if (r.ok) {
+        // casos creados antes de activar el espejo: se agregan al primer cambio
+        copy('updateCase', async () => {
+          const m = await mirror.updateCase(c);
+          return m.reason === 'case_not_found' ? mirror.insertCase(c) : m;
+        });
+      }
+      return r;
+    },
+
+    async touchCase(caseId, lastMessage, ts) {
+      const r = await primary.touchCase(caseId, lastMessage, ts);
+      if (r.ok) copy('touchCase', () => mirror.touchCase(caseId, lastMessage, ts));
+      return r;
+    },
+
+    async appendEvent(ev) {
+      const r = await primary.appendEvent(ev);
+      copy('appendEvent', () => mirror.appendEvent(ev));
+      return r;
+    },
+  };
+}
+
+// Con el simulador prendido todo va a archivos locales: las charlas de prueba no pueden terminar en la planilla real
+const STORAGE_KIND = DEV_ON
+  ? 'local'
+  : String(STORAGE_BACKEND || (hasSheetsEnv() ? 'sheets' : 'local'))
+      .trim()
+      .toLowerCase();
+const STORAGE_MIRROR = !DEV_ON && normalizeEnvFlag(STORAGE_MIRROR_SHEETS);
+
+const storage = (() => {
+  if (DEV_ON && (String(STORAGE_BACKEND || '').trim().toLowerCase() === 'sheets' || normalizeEnvFlag(STORAGE_MIRROR_SHEETS) || hasSheetsEnv())) {
+    log('warn', 'dev_simulator_local_storage', { ignored_backend: STORAGE_BACKEND || 'sheets', data_dir: DATA_DIR });
+  }
+
+  const errors = [];
+  if (!['sheets', 'local'].includes(STORAGE_KIND)) errors.push(`STORAGE_BACKEND: "${STORAGE_KIND}" no existe (sheets | local)`);
+  if ((STORAGE_KIND === 'sheets' || STORAGE_MIRROR) && !hasSheetsEnv()) {
+    errors.push('Google Sheets: faltan GSHEET_SPREADSHEET_ID y credenciales (GSHEET_SA_JSON_BASE64 o GSHEET_CLIENT_EMAIL + GSHEET_PRIVATE_KEY)');
+  }
+  if (STORAGE_MIRROR && STORAGE_KIND !== 'local') errors.push('STORAGE_MIRROR_SHEETS: solo con STORAGE_BACKEND=local');
+
+  if (errors.length) {
+    log('error', 'storage_invalid', { backend: STORAGE_KIND, mirror: STORAGE_MIRROR, errors });
+    for (const e of errors) console.error(`[storage] ${e}`);
+    process.exit(1);
+  }
+
+  if (STORAGE_KIND === 'sheets') return createSheetsStorage();
+  try {
+    const local = createLocalStorage(path.resolve(__dirname, DATA_DIR));
+    return STORAGE_MIRROR ? createMirrorStorage(local, createSheetsStorage()) : local;
+  } catch (e) {
+    log('error', 'storage_invalid', { backend: STORAGE_KIND, err: String(e?.message || e) });
+    console.error(`[storage] ${DATA_DIR}: ${e?.message || e}`);
+    process.exit(1);
+  }
+})();
+
+// ================= Cases =================
+// Un caso = un episodio de reserva. Cerrado el caso, la próxima reserva del mismo número abre otro
+// (el external_reference de Mercado Pago no se reutiliza). Los datos del paciente van en `patients`.
+const CLOSED_CASE_STATUSES = ['confirmed', 'cancelled', 'payment_expired'];
+// Navegar el menú después de cerrar no reabre el caso
+const NAV_STATUSES = ['menu', 'info_os', 'info_contacto', 'fallback'];
+
+// Cache: waId -> { caseObj } (el caso actual del número)
+const caseCache = new Map();
+
+async function ensureCase(waId) {
+  if (caseCache.has(waId)) return caseCache.get(waId);
+
+  const found = await storage.findCaseByWa(waId);
+  if (found && found.case_id) {
+    const pack = { caseObj: found };
+    caseCache.set(waId, pack);
+    return pack;
+  }
+
+  return createCase(waId);
+}
+
+// Al empezar una reserva: si el caso actual ya cerró, abre uno nuevo
+async function ensureOpenCase(waId) {
+  const pack = await ensureCase(waId);
+  if (!CLOSED_CASE_STATUSES.includes(pack.caseObj.status)) return pack;
+
+  const next = await createCase(waId);
+  await appendEvent(waId, next.caseObj.case_id, 'case', 'case_opened', { previous_case_id: pack.caseObj.case_id });
+  return next;
+}
+
+async function createCase(waId) {
+  const caseId = makeId('CASE');
+  const now = nowISO();
+
+  const newCase = {
+    created_at: now,
+    case_id: caseId,
+    wa_from: waId,
+    flow_type: 'whatsapp',
+    patient_type: '',
+    os_name: '',
+    os_token: '',
+    service_label: '',
+    deposit_amount: '', // se calcula con las reglas al generar el link
+    payment_link: '',
+    payment_op_id: '',
+    status: 'lead',
+    last_message: '',
+    updated_at: now,
+    affiliate_number: '',
+    dni: '',
+  };
+
+  const r = await storage.insertCase(newCase);
+  if (!r.ok) log('error', 'case_insert_failed', { case_id: caseId, reason: r.reason });
+  await savePatient(waId, { last_case_id: caseId });
+
+  const pack = { caseObj: newCase };
+  caseCache.set(waId, pack);
+  return pack;
+}
+
+// Al entrar a un estado de handoff queda la hora; mientras siga ahí no se pisa
+function stampHandoff(prev, next) {
+  if (HANDOFF_STATUSES.includes(next.status) && !HANDOFF_STATUSES.includes(prev.status)) next.handoff_at = next.updated_at;
+  return next;
+}
+
+async function upsertCase(waId, patch) {
   const pack = await ensureCase(waId);
   const prev = pack.caseObj;
+  if (CLOSED_CASE_STATUSES.includes(prev.status) && NAV_STATUSES.includes(patch.status)) {
+    const { status, ...rest } = patch;
+    patch = rest;
+  }
 
-  const next = {
+  const next = stampHandoff(prev, {
     ...prev,
     ...patch,
     created_at: prev.created_at || nowISO(),
     case_id: prev.case_id,
     wa_from: prev.wa_from,
     updated_at: nowISO(),
-  };
+  });
 
-  await sheetUpdateRow(pack.rowNumber, caseObjToRow(next));
+  const r = await storage.updateCase(next);
+  if (!r.ok) log('error', 'case_update_failed', { case_id: next.case_id, reason: r.reason });
   pack.caseObj = next;
   caseCache.set(waId, pack);
   return next;
 }
 
-// ✅ Touch pro (solo M y N)
+// Un caso puntual (webhooks): puede no ser el caso actual del paciente
+async function upsertCaseById(caseId, patch) {
+  const found = await findCaseById(caseId);
+  if (!found) return null;
+
+  const pack = caseCache.get(found.wa_from);
+  if (pack && pack.caseObj.case_id === caseId) return upsertCase(found.wa_from, patch);
+
+  const next = stampHandoff(found, {
+    ...found,
+    ...patch,
+    created_at: found.created_at,
+    case_id: found.case_id,
+    wa_from: found.wa_from,
+    updated_at: nowISO(),
+  });
+  const r = await storage.updateCase(next);
+  if (!r.ok) log('error', 'case_update_failed', { case_id: caseId, reason: r.reason });
+  return next;
+}
+
+// ✅ Touch pro (solo last_message y updated_at)
 async function touchCaseMN(waId, lastMessage) {
   const pack = await ensureCase(waId);
-  const rn = pack.rowNumber;
   const ts = nowISO();
-  await sheetBatchUpdate([
-    { range: `${SHEET_CASES}!M${rn}`, values: [[String(lastMessage || '').slice(0, 220)]] },
-    { range: `${SHEET_CASES}!N${rn}`, values: [[ts]] },
-  ]);
+  const msg = String(lastMessage || '').slice(0, 220);
+  await storage.touchCase(pack.caseObj.case_id, msg, ts);
+  pack.caseObj = { ...pack.caseObj, last_message: msg, updated_at: ts };
   return ts;
 }
 
+// Primero lo que ya está en memoria (más fresco), después el storage
+async function findCaseById(caseId) {
+  for (const pack of caseCache.values()) {
+    if (pack.caseObj.case_id === caseId) return pack.caseObj;
+  }
+  return storage.findCaseById(caseId);
+}
+
 async function appendEvent(waId, caseId, eventType, payloadPreview, payloadObj) {
-  const row = [
-    makeId('EV'),
-    nowISO(),
-    caseId || '',
-    waId || '',
-    eventType || '',
-    String(payloadPreview || '').slice(0, 220),
-    payloadObj ? JSON.stringify(payloadObj).slice(0, 45000) : '',
-  ];
-  await sheetAppend(`${SHEET_EVENTS}!A:G`, row);
+  await storage.appendEvent({
+    event_id: makeId('EV'),
+    ts: nowISO(),
+    case_id: caseId || '',
+    wa_from: waId || '',
+    type: eventType || '',
+    preview: String(payloadPreview || '').slice(0, 220),
+    payload: payloadObj ? JSON.stringify(payloadObj).slice(0, 45000) : '',
+  });
+}
+
+function listCases() {
+  return storage.listCases();
+}
+
+// ================= Patients =================
+// waId -> { wa_from, os_name, os_coverage, os_plan, affiliate_number, dni, last_case_id, created_at, updated_at }
+// (el token no se guarda: suele ser por prestación)
+const PATIENT_COLLECTION = 'patients';
+
+async function getPatient(waId) {
+  return storage.getRecord(PATIENT_COLLECTION, waId);
+}
+
+async function savePatient(waId, patch) {
+  const prev = (await getPatient(waId)) || { wa_from: waId, created_at: nowISO() };
+  const next = { ...prev, ...patch, wa_from: waId, updated_at: nowISO() };
+  const r = await storage.putRecord(PATIENT_COLLECTION, waId, next);
+  if (!r.ok) log('error', 'patient_save_failed', { wa: waId, reason: r.reason });
+  return next;
+}
+
+function listEvents() {
+  return storage.listEvents();
 }
 
 // ================= MercadoPago (REAL VALIDATION) =================
 async function createMpPreference({ caseId, waId, label, patientType, osName, osToken, amount }) {
+  // Simulador: link falso, se "paga" con /api/dev/pay
+  if (isDevSimulated(waId)) {
+    return {
+      ok: true,
+      init_point: `/paylink?ref=${encodeURIComponent(caseId)}`,
+      pref_id: `DEV-${caseId}`,
+      expires_at: new Date(Date.now() + PAYMENT_WINDOW_MS).toISOString(),
+      simulated: true,
+    };
+  }
+
   if (!MP_ACCESS_TOKEN) return { ok: false, reason: 'missing_mp_token' };
 
   const expiresFrom = new Date();
@@ -490,7 +1579,7 @@ async function createMpPreference({ caseId, waId, label, patientType, osName, os
   const payload = {
     items: [
       {
-        title: `Seña - CEPA (${label || 'Turno'})`,
+        title: `Seña - ${CEPA.short} (${label || 'Turno'})`,
         quantity: 1,
         currency_id: 'ARS',
         unit_price: Number(amount),
@@ -538,7 +1627,7 @@ async function createMpPreference({ caseId, waId, label, patientType, osName, os
   }
 
   const data = await resp.json();
-  return { ok: true, init_point: data.init_point, pref_id: data.id };
+  return { ok: true, init_point: data.init_point, pref_id: data.id, expires_at: expiresTo.toISOString() };
 }
 
 async function mpGetPayment(paymentId) {
@@ -560,6 +1649,32 @@ async function mpGetPayment(paymentId) {
   return { ok: true, data };
 }
 
+// Devolución total del pago (sin amount = total). La key de idempotencia evita devolver dos veces el mismo caso.
+async function mpRefundPayment(paymentId, idempotencyKey) {
+  if (!MP_ACCESS_TOKEN) return { ok: false, reason: 'missing_mp_token' };
+
+  const resp = await fetch(`https://api.mercadopago.com/v1/payments/${paymentId}/refunds`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${MP_ACCESS_TOKEN}`,
+      'Content-Type': 'application/json',
+      'X-Idempotency-Key': idempotencyKey,
+    },
+    body: JSON.stringify({}),
+  });
+
+  if (!resp.ok) {
+    let j = {};
+    try {
+      j = await resp.json();
+    } catch {}
+    return { ok: false, status: resp.status, err: j };
+  }
+
+  const data = await resp.json();
+  return { ok: true, data };
+}
+
 async function mpSearchByExternalRef(caseId) {
   if (!MP_ACCESS_TOKEN) return { ok: false, reason: 'missing_mp_token' };
 
@@ -590,161 +1705,2619 @@ function mpPaymentMatches(pay, caseId, amountExpected) {
   if (status !== 'approved') return { ok: false, reason: `status_${status || 'unknown'}` };
   if (!ext || ext !== String(caseId)) return { ok: false, reason: 'external_reference_mismatch' };
 
-  if (Number.isFinite(amountExpected) && amountExpected > 0) {
-    if (Math.abs(amount - Number(amountExpected)) > 0.001) return { ok: false, reason: 'amount_mismatch' };
-  }
+  // el monto sale del caso; sin monto no confirmamos nada
+  if (!(Number.isFinite(amountExpected) && amountExpected > 0)) return { ok: false, reason: 'amount_unknown' };
+  if (Math.abs(amount - Number(amountExpected)) > 0.001) return { ok: false, reason: 'amount_mismatch' };
 
   return { ok: true };
 }
 
-async function confirmPaymentFlow({ waId, caseId, paymentId, ctx, label, source }) {
-  const receiptId = makeId('CEPA');
+// Único camino de confirmación de un pago (chat, comprobante, webhook, dev). Idempotente: si el caso ya está
+// confirmado no se vuelve a mandar nada, así "PAGUÉ" + webhook del mismo pago dan un solo comprobante.
+// Correr dentro de withKeyLock(waId).
+// Pagos ya procesados: mp_payments, payment_id -> { payment_id, case_id, status, amount, history: [{ status, at, source }] }.
+// Una notificación repetida con el mismo status no hace nada.
+const MP_PAYMENTS_COLLECTION = 'mp_payments';
 
-  // no reseteamos a menu si querés que quede el hilo, pero hoy lo dejamos así
-  resetSession(waId);
+async function getMpPayment(paymentId) {
+  return storage.getRecord(MP_PAYMENTS_COLLECTION, String(paymentId));
+}
 
-  await upsertCase(waId, {
+async function recordMpPayment(paymentId, { case_id, status, amount, source, rejected }) {
+  const id = String(paymentId);
+  const prev = (await getMpPayment(id)) || { payment_id: id, history: [] };
+  if (prev.status === status) return prev;
+  const now = nowISO();
+  const next = {
+    ...prev,
+    case_id: case_id || prev.case_id || '',
+    status,
+    amount: Number.isFinite(amount) ? amount : prev.amount,
+    rejected: rejected || undefined,
+    history: [...(prev.history || []), { status, at: now, source }].slice(-20),
+    updated_at: now,
+  };
+  const r = await storage.putRecord(MP_PAYMENTS_COLLECTION, id, next);
+  if (!r.ok) log('error', 'mp_payment_save_failed', { payment_id: id, reason: r.reason });
+  return next;
+}
+
+// El horario de la agenda propia se perdió antes de confirmar (o el turno ya pasó, con un pago que llegó tarde):
+// no hay "Turno confirmado" ni .ics, el caso queda para recepción (con el pago registrado, si lo hubo) y el
+// paciente sabe que lo van a contactar.
+async function handoffWithoutSlot(waId, caseId, { paymentId, source, label, patch = {}, reason = 'slot_lost', appointmentAt }) {
+  const pack = await ensureCase(waId);
+  if (pack.caseObj.case_id === caseId) await setSession(waId, 'handoff', {});
+  await upsertCaseById(caseId, {
+    ...patch,
+    payment_op_id: String(paymentId || ''),
+    status: 'handoff',
+    last_message: paymentId ? `Pago MP aprobado (${paymentId}) sin horario` : 'Sin horario al confirmar',
+  });
+  await appendEvent(waId, caseId, 'handoff', 'handoff_requested', { from: reason, paymentId, source });
+  if (paymentId) await recordMpPayment(paymentId, { case_id: caseId, status: 'approved', source: source || 'auto' });
+
+  const paid = paymentId ? `Recibimos tu pago ✅ (queda a cuenta del turno).\n` : '';
+  const why =
+    reason === 'appointment_passed'
+      ? `El turno del ${formatClinicDate(appointmentAt)} hs ya pasó 🙏`
+      : `El horario que habías elegido se ocupó antes de poder confirmarlo 🙏`;
+  return sendText(waId, `${paid}${why}\nRecepción te escribe por acá para darte otro.`, {
+    caseId,
+    kind: 'slot_lost',
+    vars: { label: label || '' },
+  });
+}
+
+async function confirmPaymentFlow({ waId, caseId, paymentId, ctx = {}, label, source }) {
+  const current = await findCaseById(caseId);
+  if (current && (current.status === 'confirmed' || (paymentId && current.payment_op_id === String(paymentId)))) {
+    log('info', 'payment_already_confirmed', { case_id: caseId, source, payment_id: String(paymentId || '') });
+    await appendEvent(waId, caseId, 'mp', 'mp_payment_duplicate', { paymentId, source, confirmedWith: current.payment_op_id });
+    return { ok: true, duplicate: true };
+  }
+
+  // desde el webhook no hay ctx: solo se pisa lo que se sabe (el resto ya quedó en el caso al pedir la seña)
+  const known = {
     flow_type: ctx.flow,
     patient_type: ctx.patientType,
-    os_name: ctx.osName || '',
-    os_token: ctx.osToken || '',
-    service_label: label || '',
-    deposit_amount: String(DEPOSIT_VALUE),
-    payment_link: ctx.mpLink || '',
+    os_name: ctx.osName,
+    os_token: ctx.osToken,
+    affiliate_number: ctx.osAffiliate,
+    dni: ctx.osDni,
+    service_label: label,
+    payment_link: ctx.mpLink,
+  };
+  const patch = Object.fromEntries(Object.entries(known).filter(([, v]) => v !== undefined));
+
+  // pago tardío sobre una seña vencida: el turno tiene que seguir en pie (el horario se rechequea abajo)
+  if (current && current.status === 'payment_expired' && appointmentPassed(current)) {
+    return handoffWithoutSlot(waId, caseId, { paymentId, source, label, patch, reason: 'appointment_passed', appointmentAt: current.appointment_at });
+  }
+
+  // el horario se confirma antes que el caso: si otro lo tomó, no hay confirmación
+  const slot = await commitCaseSlot(current);
+  if (!slot.ok) return handoffWithoutSlot(waId, caseId, { paymentId, source, label, patch });
+
+  const receiptId = makeId(receiptPrefix());
+
+  // la sesión solo se resetea si sigue siendo de este caso (el webhook puede llegar con otra reserva en curso)
+  const pack = await ensureCase(waId);
+  if (pack.caseObj.case_id === caseId) await resetSession(waId);
+
+  await upsertCaseById(caseId, {
+    ...patch,
     payment_op_id: String(paymentId || ''),
     status: 'confirmed',
     last_message: `Pago MP aprobado (${paymentId})`,
   });
 
   await appendEvent(waId, caseId, 'mp', `mp_payment_approved_${source || 'auto'}`, { paymentId, receiptId });
+  if (paymentId) await recordMpPayment(paymentId, { case_id: caseId, status: 'approved', source: source || 'auto' });
 
-  await sendText(waId, `Pago confirmado ✅ (Mercado Pago)\n🧾 Comprobante: ${receiptId}`);
-  return sendText(waId, finalConfirmedText(receiptId));
+  const opts = { caseId, kind: 'confirmation', vars: { receipt: receiptId, label: label || '' } };
+  await sendText(waId, `Pago confirmado ✅ (Mercado Pago)\n🧾 Comprobante: ${receiptId}`, { ...opts, skipOutsideWindow: true });
+  const r = await sendText(waId, finalConfirmedText(receiptId), opts);
+  await sendAppointmentIcs(waId, caseId);
+  return r;
 }
 
-// ================= Data + Copy =================
-const CEPA = {
-  name: 'CEPA Consultorios (Luján de Cuyo)',
-  address: 'Constitución 46, Luján de Cuyo, Mendoza',
-  hours: 'Lunes a sábados · 07:30 a 21:00',
-  email: 'cepadiagnosticomedicointegral@gmail.com',
-  phone: '261-4987007',
-  mrturno: MR_TURNO_URL || 'https://www.mrturno.com/m/@cepa',
-  disclaimer: 'Si es una urgencia, no uses este chat: llamá al 107 o acudí a guardia.',
-};
-
-const OBRAS_SOCIALES_TOP = [
-  'OSDE',
-  'Swiss Medical',
-  'Galeno',
-  'Medifé',
-  'OMINT',
-  'SanCor Salud',
-  'Prevención Salud',
-  'Jerárquicos Salud',
-  'Andes Salud',
-  'Nobis',
-  'Federada Salud',
-  'Medicus',
-];
+// Regla "sin seña": no hay preferencia de MP, se confirma directo
+async function confirmNoDepositFlow({ waId, caseId, ctx, source }) {
+  const patch = {
+    flow_type: ctx.flow,
+    patient_type: ctx.patientType,
+    os_name: ctx.osName || '',
+    os_token: ctx.osToken || '',
+    affiliate_number: ctx.osAffiliate || '',
+    dni: ctx.osDni || '',
+    service_label: ctx.label || '',
+    deposit_amount: '0',
+    payment_link: '',
+  };
+  const slot = await commitCaseSlot(await findCaseById(caseId));
+  if (!slot.ok) return handoffWithoutSlot(waId, caseId, { source, label: ctx.label, patch });
 
-function menuText() {
-  return `Hola 👋 Soy la recepción automática de ${CEPA.name}.
-Elegí una opción (respondé con un número):
+  const receiptId = makeId(receiptPrefix());
 
-1) Sacar turno
-2) Estudios
-3) Obras sociales / prepagas
-4) Dirección y horarios
-5) Hablar con recepción
+  await resetSession(waId);
 
-0) Menú
+  await upsertCase(waId, {
+    ...patch,
+    payment_op_id: '',
+    status: 'confirmed',
+    last_message: 'Confirmado sin seña',
+  });
 
-${CEPA.disclaimer}`;
-}
+  await appendEvent(waId, caseId, 'deposit', 'confirmed_without_deposit', { source, receiptId });
 
-function infoContacto() {
-  return `📍 ${CEPA.address}
-🕒 ${CEPA.hours}
-📞 Tel: ${CEPA.phone}
-✉️ Email: ${CEPA.email}`;
+  const opts = { caseId, kind: 'confirmation', vars: { receipt: receiptId, label: ctx.label || '' } };
+  await sendText(waId, `Para este turno no hace falta seña ✅`, { ...opts, skipOutsideWindow: true });
+  const r = await sendText(waId, finalConfirmedText(receiptId), opts);
+  await sendAppointmentIcs(waId, caseId);
+  return r;
 }
 
-function mrTurnoText(extra) {
-  return `${extra ? extra + '\n\n' : ''}Para elegir día y horario usá MrTurno:
-${CEPA.mrturno}
+// ================= Clinic config =================
+// Todo lo que cambia de clínica a clínica vive en el JSON (CLINIC_CONFIG_PATH).
+// Los secretos siguen en env; algunas env pisan valores del JSON (MR_TURNO_URL, DEPOSIT_*).
+const CLINIC_CONFIG_FILE = path.resolve(__dirname, CLINIC_CONFIG_PATH);
+
+const str = (extra) => ({ type: 'string', nonEmpty: true, ...extra });
+const URL_HINT = { pattern: /^https?:\/\//, patternHint: 'URL http(s)' };
+const HHMM_HINT = { pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternHint: 'HH:MM' };
+const DATE_HINT = { pattern: /^\d{4}-\d{2}-\d{2}$/, patternHint: 'AAAA-MM-DD' };
+const HOURS_RANGES = { type: 'array', items: str({ pattern: /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/, patternHint: 'HH:MM-HH:MM' }) };
+
+const ID_FORMAT_SCHEMA = {
+  type: 'object',
+  props: {
+    required: { type: 'boolean' },
+    min_length: { type: 'number', min: 1 },
+    max_length: { type: 'number', min: 1 },
+    prefixes: { type: 'array', items: str() },
+    digits_only: { type: 'boolean' },
+  },
+};
 
-Cuando tengas el turno reservado, escribime “LISTO”.`;
-}
+// Extras opcionales de cada servicio/estudio: link propio de MrTurno y seña propia
+const CATALOG_ITEM_PROPS = {
+  aliases: { type: 'array', items: str() },
+  booking_url: str(URL_HINT),
+  deposit_amount: { type: 'number', min: 0 },
+  prep: str(), // indicaciones de preparación (van en el .ics del paciente)
+};
+// Plantilla aprobada en Meta (ver TEMPLATE_VARS)
+const WA_TEMPLATE_SCHEMA = {
+  type: 'object',
+  required: ['name', 'language'],
+  props: {
+    name: str({ pattern: /^[a-z0-9_]+$/, patternHint: 'minúsculas, números y _' }),
+    language: str(), // es_AR, es...
+    body: { type: 'array', items: str() },
+    buttons: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'value'],
+        props: { type: str({ pattern: /^(quick_reply|url)$/, patternHint: 'quick_reply o url' }), value: str() },
+      },
+    },
+  },
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['clinic', 'prepagas', 'studies', 'services_menu', 'handoff_keywords', 'deposit'],
+  props: {
+    clinic: {
+      type: 'object',
+      required: ['name', 'short', 'address', 'hours', 'booking_url', 'contact'],
+      props: {
+        name: str(),
+        short: str(),
+        address: str(),
+        hours: str(),
+        booking_url: str(URL_HINT),
+        disclaimer: str(),
+        timezone: str(),
+        contact: {
+          type: 'object',
+          required: ['email', 'tel'],
+          props: { email: str(), tel: str(), whatsapp_alt: str() },
+        },
+      },
+    },
+    // "Nobis" o { name, aliases, plans, services, accepted }
+    prepagas: {
+      type: 'array',
+      items: {
+        anyOf: [
+          str(),
+          {
+            type: 'object',
+            required: ['name'],
+            props: {
+              name: str(),
+              aliases: { type: 'array', items: str() },
+              plans: { type: 'array', items: str() }, // si está, solo esos planes
+              services: { type: 'array', items: str() }, // si está, solo cubre esos servicios/estudios
+              accepted: { type: 'boolean' }, // false: la conocemos pero no trabajamos con ella
+              affiliate: ID_FORMAT_SCHEMA, // formato del N° de afiliado
+              token: ID_FORMAT_SCHEMA, // formato del token (si "required", lo pedimos)
+            },
+          },
+        ],
+      },
+    },
+    // "Mamografía" o { name, aliases, booking_url, deposit_amount }
+    studies: {
+      type: 'array',
+      items: {
+        anyOf: [
+          str(),
+          { type: 'object', required: ['name'], props: { name: str(), ...CATALOG_ITEM_PROPS } },
+        ],
+      },
+    },
+    services_menu: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['key', 'label'],
+        props: { key: str({ pattern: /^[A-Z]$/, patternHint: 'una letra A-Z' }), label: str(), ...CATALOG_ITEM_PROPS },
+      },
+    },
+    handoff_keywords: { type: 'array', items: str() },
+    // cancelación: con más de refund_hours_before horas de anticipación se devuelve la seña completa
+    cancellation: {
+      type: 'object',
+      props: { refund_hours_before: { type: 'number', min: 0 } },
+    },
+    // reprogramación por el paciente: cuántas veces por turno (después, recepción)
+    reschedule: {
+      type: 'object',
+      props: { max: { type: 'number', min: 0 } },
+    },
+    // agenda propia (opcional): los servicios con agenda ofrecen horarios en vez del link de MrTurno
+    scheduling: {
+      type: 'object',
+      required: ['agendas'],
+      props: {
+        slot_minutes: { type: 'number', min: 5 }, // default de cada agenda
+        days_ahead: { type: 'number', min: 1 },
+        min_notice_minutes: { type: 'number', min: 0 },
+        hold_minutes: { type: 'number', min: 5 }, // retención mientras completa los datos (después, hasta que vence la seña)
+        holidays: { type: 'array', items: str(DATE_HINT) },
+        // día completo o franja; si lleva service/professional, solo para esa agenda
+        blocked: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['date'],
+            props: { date: str(DATE_HINT), from: str(HHMM_HINT), to: str(HHMM_HINT), service: str(), professional: str(), note: str() },
+          },
+        },
+        agendas: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['service', 'hours'],
+            props: {
+              service: str(),
+              professional: str(),
+              slot_minutes: { type: 'number', min: 5 },
+              hours: {
+                type: 'object',
+                props: { lun: HOURS_RANGES, mar: HOURS_RANGES, mie: HOURS_RANGES, jue: HOURS_RANGES, vie: HOURS_RANGES, sab: HOURS_RANGES, dom: HOURS_RANGES },
+              },
+            },
+          },
+        },
+      },
+    },
+    // fuera de la ventana de 24 h: plantilla por tipo de mensaje ("default" para el resto)
+    whatsapp_templates: {
+      type: 'object',
+      props: { default: WA_TEMPLATE_SCHEMA, confirmation: WA_TEMPLATE_SCHEMA, cancellation: WA_TEMPLATE_SCHEMA },
+    },
+    deposit: {
+      type: 'object',
+      required: ['enabled', 'amount_ars'],
+      props: {
+        enabled: { type: 'boolean' },
+        amount_ars: { type: 'number', min: 0 },
+        note: str(),
+        // primera regla que coincide gana; si ninguna, seña del servicio y si no amount_ars
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['when'],
+            props: {
+              name: str(),
+              when: {
+                type: 'object',
+                props: {
+                  services: { type: 'array', items: str() },
+                  patient_type: str({ pattern: /^(particular|obra_social)$/, patternHint: 'particular u obra_social' }),
+                  coverages: { type: 'array', items: str() },
+                  days: { type: 'array', items: str({ pattern: /^(lun|mar|mie|jue|vie|sab|dom)$/, patternHint: 'lun..dom' }) },
+                  from: str(HHMM_HINT),
+                  to: str(HHMM_HINT),
+                },
+              },
+              amount_ars: { type: 'number', min: 0 },
+              none: { type: 'boolean' },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+function schemaTypeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function validateSchema(node, value, at, errors) {
+  const where = at || '(raíz)';
+  if (node.anyOf) {
+    // reportamos los errores de la variante del mismo tipo (si hay)
+    const same = node.anyOf.find((n) => n.type === schemaTypeOf(value));
+    if (same) return validateSchema(same, value, at, errors);
+    return errors.push(`${where}: se esperaba ${node.anyOf.map((n) => n.type).join(' o ')}`);
+  }
+  if (node.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return errors.push(`${where}: se esperaba un objeto`);
+    for (const k of node.required || []) {
+      if (!(k in value)) errors.push(`${at ? at + '.' : ''}${k}: falta (obligatorio)`);
+    }
+    for (const k of Object.keys(value)) {
+      const child = node.props[k];
+      const p = at ? `${at}.${k}` : k;
+      if (!child) errors.push(`${p}: clave desconocida`);
+      else validateSchema(child, value[k], p, errors);
+    }
+    return errors;
+  }
+  if (node.type === 'array') {
+    if (!Array.isArray(value)) return errors.push(`${where}: se esperaba una lista`);
+    value.forEach((v, i) => validateSchema(node.items, v, `${at}[${i}]`, errors));
+    return errors;
+  }
+  if (node.type === 'string') {
+    if (typeof value !== 'string') return errors.push(`${where}: se esperaba texto`);
+    if (node.nonEmpty && !value.trim()) return errors.push(`${where}: no puede estar vacío`);
+    if (node.pattern && !node.pattern.test(value)) return errors.push(`${where}: formato inválido (${node.patternHint})`);
+    return errors;
+  }
+  if (node.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return errors.push(`${where}: se esperaba un número`);
+    if (Number.isFinite(node.min) && value < node.min) errors.push(`${where}: mínimo ${node.min}`);
+    return errors;
+  }
+  if (node.type === 'boolean') {
+    if (typeof value !== 'boolean') errors.push(`${where}: se esperaba true/false`);
+    return errors;
+  }
+  return errors;
+}
+
+// Chequeos que el schema no cubre (duplicados)
+function validateClinicConfig(cfg) {
+  const errors = validateSchema(CONFIG_SCHEMA, cfg, '', []);
+  if (errors.length) return errors;
+
+  const keys = cfg.services_menu.map((x) => x.key);
+  const dup = keys.filter((k, i) => keys.indexOf(k) !== i);
+  if (dup.length) errors.push(`services_menu: letras repetidas (${[...new Set(dup)].join(', ')})`);
+
+  if (cfg.clinic.timezone) {
+    try {
+      new Intl.DateTimeFormat('es-AR', { timeZone: cfg.clinic.timezone });
+    } catch {
+      errors.push(`clinic.timezone: zona horaria desconocida (${cfg.clinic.timezone})`);
+    }
+  }
+
+  (cfg.deposit.rules || []).forEach((r, i) => {
+    const hasAmount = 'amount_ars' in r;
+    const isNone = r.none === true;
+    if (hasAmount === isNone) errors.push(`deposit.rules[${i}]: poné "amount_ars" o "none": true (uno de los dos)`);
+  });
+
+  const covNames = cfg.prepagas.map((x) => normalize(typeof x === 'string' ? x : x.name));
+  const dupC = covNames.filter((k, i) => covNames.indexOf(k) !== i);
+  if (dupC.length) errors.push(`prepagas: repetidas (${[...new Set(dupC)].join(', ')})`);
+
+  const known = [...cfg.services_menu.map((x) => x.label), ...cfg.studies.map((x) => (typeof x === 'string' ? x : x.name))].map(normalize);
+  cfg.prepagas.forEach((x, i) => {
+    for (const svc of (typeof x === 'object' && x.services) || []) {
+      if (!known.includes(normalize(svc))) errors.push(`prepagas[${i}].services: "${svc}" no está en services_menu ni en studies`);
+    }
+  });
+
+  const sc = cfg.scheduling;
+  (sc ? sc.agendas : []).forEach((a, i) => {
+    if (!known.includes(normalize(a.service))) errors.push(`scheduling.agendas[${i}].service: "${a.service}" no está en services_menu ni en studies`);
+    for (const [day, ranges] of Object.entries(a.hours)) {
+      for (const r of ranges) {
+        const [from, to] = r.split('-');
+        if (from >= to) errors.push(`scheduling.agendas[${i}].hours.${day}: "${r}" termina antes de empezar`);
+      }
+    }
+  });
+  (sc ? sc.blocked || [] : []).forEach((b, i) => {
+    if (b.from && b.to && b.from >= b.to) errors.push(`scheduling.blocked[${i}]: "to" tiene que ser después de "from"`);
+  });
+
+  for (const [kind, tpl] of Object.entries(cfg.whatsapp_templates || {})) {
+    const used = [...(tpl.body || []), ...(tpl.buttons || []).map((b) => b.value)].join(' ');
+    for (const m of used.matchAll(/\{(\w+)\}/g)) {
+      if (!TEMPLATE_VARS.includes(m[1])) errors.push(`whatsapp_templates.${kind}: variable desconocida {${m[1]}} (usar ${TEMPLATE_VARS.join(', ')})`);
+    }
+  }
+
+  const names = cfg.studies.map((x) => normalize(typeof x === 'string' ? x : x.name));
+  const dupS = names.filter((k, i) => names.indexOf(k) !== i);
+  if (dupS.length) errors.push(`studies: estudios repetidos (${[...new Set(dupS)].join(', ')})`);
+  return errors;
+}
+
+function readClinicConfig(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    return { ok: false, errors: [`no pude leer ${file}: ${e.code || e.message}`] };
+  }
+  let cfg;
+  try {
+    cfg = JSON.parse(raw);
+  } catch (e) {
+    return { ok: false, errors: [`JSON inválido en ${file}: ${e.message}`] };
+  }
+  const errors = validateClinicConfig(cfg);
+  return errors.length ? { ok: false, errors } : { ok: true, cfg };
+}
+
+function writeClinicConfig(file, cfg) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cfg, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+function envDepositOverrides() {
+  const o = {};
+  if (DEPOSIT_REQUIRED !== undefined && DEPOSIT_REQUIRED !== '') o.enabled = normalize(DEPOSIT_REQUIRED) !== 'false';
+  if (DEPOSIT_AMOUNT !== undefined && DEPOSIT_AMOUNT !== '') {
+    const n = Number(String(DEPOSIT_AMOUNT).replace(/[^\d]/g, ''));
+    if (Number.isFinite(n) && n > 0) o.amount = n;
+  }
+  return o;
+}
+
+let CLINIC_CONFIG = null;
+let CEPA = null;
+let OBRAS_SOCIALES_TOP = [];
+let COVERAGES = []; // [{ key, label, aliases, plans, services, accepted }]
+let HANDOFF_KEYWORDS = [];
+let SERVICES = []; // [{ key, label, aliases, bookingUrl, depositAmount }]
+let STUDIES = []; // idem, key = número en la lista
+let DEPOSIT_ON = false;
+let DEPOSIT_VALUE = 0;
+let DEPOSIT_NOTE = '';
+let DEPOSIT_RULES = [];
+let CANCEL_REFUND_HOURS = 24;
+let RESCHEDULE_MAX = 1;
+let CLINIC_TZ = 'America/Argentina/Mendoza';
+let WA_TEMPLATES = {}; // kind -> plantilla (whatsapp_templates)
+let SCHEDULING = null; // agenda propia compilada (ver compileScheduling); null = todo por MrTurno
+
+function applyClinicConfig(cfg) {
+  const c = cfg.clinic;
+  CLINIC_CONFIG = cfg;
+  CEPA = {
+    name: c.name,
+    short: c.short,
+    address: c.address,
+    hours: c.hours,
+    email: c.contact.email,
+    phone: c.contact.tel,
+    whatsappAlt: c.contact.whatsapp_alt || '',
+    mrturno: MR_TURNO_URL || c.booking_url,
+    disclaimer: c.disclaimer || 'Si es una urgencia, no uses este chat: llamá al 107 o acudí a guardia.',
+  };
+  COVERAGES = cfg.prepagas.map((x) => coverageItem(typeof x === 'string' ? { name: x } : x));
+  OBRAS_SOCIALES_TOP = COVERAGES.filter((x) => x.accepted).map((x) => x.label);
+  HANDOFF_KEYWORDS = cfg.handoff_keywords.map(normalize).filter(Boolean);
+  SERVICES = cfg.services_menu.map((x) => catalogItem(x.key, x.label, x));
+  STUDIES = cfg.studies.map((x, i) =>
+    typeof x === 'string' ? catalogItem(String(i + 1), x, {}) : catalogItem(String(i + 1), x.name, x)
+  );
+
+  const env = envDepositOverrides();
+  DEPOSIT_ON = 'enabled' in env ? env.enabled : cfg.deposit.enabled;
+  DEPOSIT_VALUE = 'amount' in env ? env.amount : cfg.deposit.amount_ars;
+  DEPOSIT_NOTE = cfg.deposit.note || '';
+  DEPOSIT_RULES = cfg.deposit.rules || [];
+  RESCHEDULE_MAX = cfg.reschedule && Number.isFinite(cfg.reschedule.max) ? cfg.reschedule.max : 1;
+  CANCEL_REFUND_HOURS = cfg.cancellation && Number.isFinite(cfg.cancellation.refund_hours_before) ? cfg.cancellation.refund_hours_before : 24;
+  CLINIC_TZ = c.timezone || 'America/Argentina/Mendoza';
+  WA_TEMPLATES = cfg.whatsapp_templates || {};
+  SCHEDULING = compileScheduling(cfg.scheduling);
+}
+
+function envOverriddenKeys() {
+  const env = envDepositOverrides();
+  return [
+    MR_TURNO_URL ? 'clinic.booking_url' : null,
+    'enabled' in env ? 'deposit.enabled' : null,
+    'amount' in env ? 'deposit.amount_ars' : null,
+  ].filter(Boolean);
+}
+
+(() => {
+  const r = readClinicConfig(CLINIC_CONFIG_FILE);
+  if (!r.ok) {
+    log('error', 'clinic_config_invalid', { file: CLINIC_CONFIG_FILE, errors: r.errors });
+    for (const e of r.errors) console.error(`[config] ${e}`);
+    process.exit(1);
+  }
+  applyClinicConfig(r.cfg);
+})();
+
+function receiptPrefix() {
+  return String(CEPA.short || '').toUpperCase().replace(/[^A-Z0-9]/g, '') || 'REC';
+}
+
+function wantsHandoff(norm) {
+  return norm === '5' || HANDOFF_KEYWORDS.some((k) => norm.includes(k));
+}
+
+// ================= Catálogo (servicios / estudios) =================
+function catalogItem(key, label, x) {
+  return {
+    key,
+    label,
+    aliases: Array.isArray(x.aliases) ? x.aliases : [],
+    bookingUrl: x.booking_url || '',
+    depositAmount: Number.isFinite(x.deposit_amount) ? x.deposit_amount : null,
+    prep: x.prep || '',
+  };
+}
+
+function compact(s) {
+  return normalize(s).replace(/[^a-z0-9]/g, '');
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function fuzzyWordEq(a, b) {
+  if (a === b) return true;
+  const tol = Math.max(a.length, b.length) > 6 ? 2 : 1;
+  return Math.abs(a.length - b.length) <= tol && levenshtein(a, b) <= tol;
+}
+
+const STOPWORDS = new Set(['de', 'del', 'la', 'el', 'los', 'las', 'un', 'una', 'con', 'para', 'por', 'quiero', 'necesito', 'turno', 'sacar', 'hacer', 'hacerme']);
+
+function words(s) {
+  return normalize(s)
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length >= 2 && !STOPWORDS.has(w));
+}
+
+// "Cardiología (ECG / Holter / Ergometría / MAPA)" -> ["Cardiología (...)", "Cardiología", "ECG", "Holter", ...]
+function namesOf(item) {
+  const parts = item.label.split(/[()/]/).map((x) => x.trim()).filter(Boolean);
+  return [item.label, ...parts, ...item.aliases];
+}
+
+function scoreName(input, name) {
+  const ci = compact(input);
+  const cn = compact(name);
+  if (!ci || !cn) return 0;
+  if (ci === cn) return 100;
+  if (ci.length >= 3 && cn.startsWith(ci)) return 85;
+  if (ci.length >= 4 && cn.includes(ci)) return 80;
+  if (cn.length >= 4 && ci.includes(cn)) return 75;
+
+  const wi = words(input);
+  const wn = words(name);
+  if (!wi.length || !wn.length) return 0;
+  const hits = wn.filter((n) => wi.some((w) => fuzzyWordEq(w, n))).length;
+  return hits ? Math.round((60 * hits) / wn.length) : 0;
+}
+
+// -> { item } | { ambiguous: [items] } | null
+function matchCatalog(input, items) {
+  const raw = String(input || '').trim();
+  const byKey = items.find((x) => normalize(x.key) === normalize(raw));
+  if (byKey) return { item: byKey };
+
+  const scored = items
+    .map((item) => ({ item, score: Math.max(...namesOf(item).map((n) => scoreName(raw, n))) }))
+    .filter((x) => x.score >= 50)
+    .sort((a, b) => b.score - a.score);
+
+  if (!scored.length) return null;
+  const top = scored.filter((x) => x.score === scored[0].score);
+  if (top.length === 1) return { item: top[0].item };
+  return { ambiguous: top.map((x) => x.item) };
+}
+
+function bookingUrlFor(item) {
+  return (item && item.bookingUrl) || CEPA.mrturno;
+}
+
+function findCatalogItemByLabel(label) {
+  const n = normalize(label);
+  return [...SERVICES, ...STUDIES].find((x) => normalize(x.label) === n) || null;
+}
+
+// ================= Coberturas =================
+function coverageItem(x) {
+  return {
+    key: '',
+    label: x.name,
+    aliases: Array.isArray(x.aliases) ? x.aliases : [],
+    plans: Array.isArray(x.plans) ? x.plans : null,
+    services: Array.isArray(x.services) ? x.services : null,
+    accepted: x.accepted !== false,
+    affiliate: x.affiliate || {},
+    token: x.token || {},
+  };
+}
+
+// "osde 210" -> "210". Solo cuenta como plan algo con números o un plan conocido de esa cobertura.
+function extractPlan(input, item) {
+  const nameWords = namesOf(item).flatMap(words);
+  const known = (item.plans || []).map(compact);
+  return words(input)
+    .filter((w) => !nameWords.some((n) => fuzzyWordEq(w, n)))
+    .filter((w) => /\d/.test(w) || known.includes(compact(w)))
+    .join(' ')
+    .toUpperCase();
+}
+
+// -> { status: 'accepted' | 'not_accepted' | 'unknown' | 'ambiguous', item, plan, reason, options }
+function checkCoverage(input, serviceLabel) {
+  const m = matchCatalog(input, COVERAGES);
+  if (!m) return { status: 'unknown' };
+  if (m.ambiguous) return { status: 'ambiguous', options: m.ambiguous };
+
+  const item = m.item;
+  const plan = extractPlan(input, item);
+  if (!item.accepted) return { status: 'not_accepted', item, plan, reason: 'coverage' };
+  if (plan && item.plans && !item.plans.some((p) => compact(p) === compact(plan))) {
+    return { status: 'not_accepted', item, plan, reason: 'plan' };
+  }
+  if (serviceLabel && item.services && !item.services.some((x) => normalize(x) === normalize(serviceLabel))) {
+    return { status: 'not_accepted', item, plan, reason: 'service' };
+  }
+  return { status: 'accepted', item, plan };
+}
+
+// Fuera de ask_os_name no se adivina: "quiero turno con un medico" no es Medicus.
+// Cuenta si el texto habla de coberturas o nombra una tal cual (nombre o alias, con o sin plan).
+const COVERAGE_INTENT = /\b(obras? socia(l|les)|prepagas?|cobertura|trabajan con|atienden (con|por)|aceptan|toman)\b/;
+
+function coverageIntent(input) {
+  return COVERAGE_INTENT.test(normalize(input));
+}
+
+function exactCoverage(input) {
+  const name = compact(words(input).filter((w) => !/\d/.test(w)).join(''));
+  if (!name) return null;
+  return COVERAGES.find((item) => namesOf(item).some((n) => compact(n) === name)) || null;
+}
+
+function coverageDisplay(item, plan) {
+  return plan ? `${item.label} ${plan}` : item.label;
+}
+
+// ================= Afiliado / DNI =================
+// "Afiliado 61234567801 - DNI 30.111.222 - Token 123456" -> { affiliate, dni, token }
+const ID_LABELS = {
+  dni: /\b(?:dni|documento|doc)\b\.?(?:\s+es)?[\s:#°nro.-]*(\d[\d.\s]{6,11})/i,
+  token: /\b(?:token|codigo|código|cod)\b\.?[\s:#°nro.-]*([a-z0-9]{3,})/i,
+  affiliate: /\b(?:afiliado|afil|afiliada|credencial|socio|carnet|n°|nro|numero|número)\b\.?[\s:#°nro.-]*([a-z0-9][a-z0-9/-]{3,})/i,
+};
+
+// prefer: campos que veníamos pidiendo (un número suelto va primero a esos)
+function parseAffiliateLine(text, prefer) {
+  let rest = ` ${String(text || '')} `;
+  const out = { affiliate: '', dni: '', token: '' };
+
+  for (const [field, re] of Object.entries(ID_LABELS)) {
+    const m = rest.match(re);
+    if (!m) continue;
+    const v = field === 'dni' ? m[1].replace(/[^\d]/g, '') : m[1].replace(/[\s]/g, '');
+    if (field === 'dni' && (v.length < 7 || v.length > 8)) continue;
+    out[field] = field === 'dni' ? v : v.toUpperCase();
+    rest = rest.replace(m[0], ' ');
+  }
+
+  // sin etiqueta: 30.111.222 es DNI; el resto por descarte (DNI 7-8 dígitos, después afiliado, después token)
+  const dotted = rest.match(/\b\d{1,2}\.\d{3}\.\d{3}\b/);
+  if (dotted && !out.dni) {
+    out.dni = dotted[0].replace(/\./g, '');
+    rest = rest.replace(dotted[0], ' ');
+  }
+
+  const order = prefer && prefer.length ? prefer : ['dni', 'affiliate', 'token'];
+  const fits = (f, tok) => (f === 'dni' ? /^\d{7,8}$/.test(tok) : f === 'affiliate' ? tok.length >= 6 || order.length === 1 : true);
+
+  const loose = rest.match(/[a-z0-9][a-z0-9/-]{2,}/gi) || [];
+  for (const tok of loose.filter((t) => /\d/.test(t))) {
+    const field = order.find((f) => !out[f] && fits(f, tok));
+    if (field) out[field] = field === 'dni' ? tok : tok.toUpperCase();
+  }
+  return out;
+}
+
+function idFormatError(value, fmt, what) {
+  if (!value) return '';
+  const v = String(value);
+  if (fmt.digits_only && !/^\d+$/.test(v.replace(/[/-]/g, ''))) return `el ${what} va solo con números`;
+  const len = v.replace(/[/-]/g, '').length;
+  if (fmt.min_length && len < fmt.min_length) return `el ${what} tiene que tener al menos ${fmt.min_length} caracteres`;
+  if (fmt.max_length && len > fmt.max_length) return `el ${what} tiene como máximo ${fmt.max_length} caracteres`;
+  if (fmt.prefixes && fmt.prefixes.length && !fmt.prefixes.some((p) => v.startsWith(String(p).toUpperCase()))) {
+    return `el ${what} empieza con ${fmt.prefixes.join(' o ')}`;
+  }
+  return '';
+}
+
+// Junta lo que ya teníamos con lo nuevo y dice qué falta / qué está mal
+function validateAffiliateData(prev, parsed, coverage) {
+  const cur = {
+    affiliate: parsed.affiliate || prev.affiliate || '',
+    dni: parsed.dni || prev.dni || '',
+    token: parsed.token || prev.token || '',
+  };
+  const affFmt = coverage?.affiliate || {};
+  const tokFmt = coverage?.token || {};
+
+  const errors = [];
+  const affErr = idFormatError(cur.affiliate, affFmt, 'N° de afiliado');
+  if (affErr) {
+    errors.push(affErr);
+    cur.affiliate = '';
+  }
+  const tokErr = idFormatError(cur.token, tokFmt, 'token');
+  if (tokErr) {
+    errors.push(tokErr);
+    cur.token = '';
+  }
+  if (cur.dni && !/^\d{7,8}$/.test(cur.dni)) {
+    errors.push('el DNI tiene 7 u 8 números');
+    cur.dni = '';
+  }
+
+  const missing = [];
+  if (!cur.affiliate && affFmt.required !== false) missing.push('affiliate');
+  if (!cur.dni) missing.push('dni');
+  if (!cur.token && tokFmt.required) missing.push('token');
+  return { cur, errors, missing };
+}
+
+// 30111222 -> *****222 (para logs y events)
+function maskId(v) {
+  const s = String(v || '');
+  if (!s) return '';
+  const keep = Math.min(3, Math.floor(s.length / 3));
+  return '*'.repeat(s.length - keep) + s.slice(s.length - keep);
+}
+
+// tapa DNIs / afiliados / tokens dentro de texto libre: cualquier tira de 6+ dígitos (con . / - o espacios),
+// esté en el estado que esté (un DNI suelto puede llegar en cualquier paso)
+function maskSensitiveText(text) {
+  return String(text || '').replace(/\d[\d.\s/-]{4,}\d/g, (m) => m.replace(/\d/g, '*'));
+}
+
+const ID_FIELD_NAMES = { affiliate: 'N° de afiliado', dni: 'DNI', token: 'token' };
+
+// ================= Deposit rules =================
+const DOW = ['dom', 'lun', 'mar', 'mie', 'jue', 'vie', 'sab'];
+
+// día y hora "de pared" en la zona de la clínica
+function clinicClock(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: CLINIC_TZ,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (t) => parts.find((p) => p.type === t)?.value || '';
+  const wd = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+  return { dow: DOW[wd], hhmm: `${get('hour')}:${get('minute')}` };
+}
+
+// "lun 20/10 10:30" en la zona de la clínica
+function formatClinicDate(iso) {
+  const d = new Date(iso);
+  if (!Number.isFinite(d.getTime())) return '';
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: CLINIC_TZ,
+    day: '2-digit',
+    month: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(d);
+  const get = (t) => parts.find((p) => p.type === t)?.value || '';
+  return `${clinicClock(d).dow} ${get('day')}/${get('month')} ${get('hour')}:${get('minute')}`;
+}
+
+function sameCoverage(a, b) {
+  const na = compact(a);
+  const nb = compact(b);
+  return !!na && !!nb && (na === nb || na.startsWith(nb) || nb.startsWith(na));
+}
+
+function depositRuleMatches(rule, { label, patientType, osName, at }) {
+  const w = rule.when || {};
+  if (w.services && !w.services.some((x) => normalize(x) === normalize(label))) return false;
+  if (w.patient_type && w.patient_type !== patientType) return false;
+  if (w.coverages && !(patientType === 'obra_social' && w.coverages.some((x) => sameCoverage(x, osName)))) return false;
+
+  if (w.days || w.from || w.to) {
+    const clock = clinicClock(at);
+    if (w.days && !w.days.includes(clock.dow)) return false;
+    if (w.from && clock.hhmm < w.from) return false;
+    if (w.to && clock.hhmm >= w.to) return false;
+  }
+  return true;
+}
+
+// Las reglas de día/hora miran el turno, no el momento del chat; sin fecha cargada, ahora
+function depositAt(appointmentAt) {
+  const d = new Date(appointmentAt || NaN);
+  return Number.isFinite(d.getTime()) ? d : new Date();
+}
+
+// -> { amount, source }. amount 0 = sin seña (se confirma directo, sin Mercado Pago)
+function computeDeposit({ label, patientType, osName, at = new Date() }) {
+  if (!DEPOSIT_ON) return { amount: 0, source: 'disabled' };
+
+  const input = { label, patientType, osName, at };
+  const idx = DEPOSIT_RULES.findIndex((r) => depositRuleMatches(r, input));
+  if (idx >= 0) {
+    const rule = DEPOSIT_RULES[idx];
+    return { amount: rule.none ? 0 : rule.amount_ars, source: `rule:${rule.name || idx}` };
+  }
+
+  const item = findCatalogItemByLabel(label);
+  if (item && item.depositAmount !== null) return { amount: item.depositAmount, source: 'service' };
+  return { amount: DEPOSIT_VALUE, source: 'default' };
+}
+
+// lo que quedó guardado en el caso; null si no hay monto válido
+function caseDepositAmount(caseObj) {
+  const n = Number(String(caseObj?.deposit_amount || '').replace(/[^\d.]/g, ''));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// ================= Fecha del turno =================
+// Lo que el paciente copia de MrTurno: "martes 14 a las 9:30", "14/10 9.30hs", "mañana 18". Siempre en CLINIC_TZ.
+const WEEKDAYS_ES = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+const MONTHS_ES = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+const APPOINTMENT_MAX_DAYS = 365;
+
+// año/mes/día/hora "de pared" en la zona de la clínica
+function clinicWall(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: CLINIC_TZ,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (t) => Number(parts.find((p) => p.type === t)?.value);
+  return { y: get('year'), m: get('month'), d: get('day'), hh: get('hour'), mm: get('minute') };
+}
+
+// hora de pared en CLINIC_TZ -> Date (dos pasadas por si el offset cambia ese día)
+function clinicWallToDate({ y, m, d }, { hh, mm }) {
+  const wall = Date.UTC(y, m - 1, d, hh, mm);
+  let t = wall;
+  for (let i = 0; i < 2; i++) {
+    const w = clinicWall(new Date(t));
+    t += wall - Date.UTC(w.y, w.m - 1, w.d, w.hh, w.mm);
+  }
+  return new Date(t);
+}
+
+function addDays({ y, m, d }, n) {
+  const t = new Date(Date.UTC(y, m - 1, d + n));
+  return { y: t.getUTCFullYear(), m: t.getUTCMonth() + 1, d: t.getUTCDate() };
+}
+
+function dayOfWeek({ y, m, d }) {
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+function validDay(y, m, d) {
+  const t = new Date(Date.UTC(y, m - 1, d));
+  return t.getUTCFullYear() === y && t.getUTCMonth() === m - 1 && t.getUTCDate() === d ? { y, m, d } : null;
+}
+
+function dayBefore(a, b) {
+  return Date.UTC(a.y, a.m - 1, a.d) < Date.UTC(b.y, b.m - 1, b.d);
+}
+
+// "martes 14/10"
+function formatClinicDay(day) {
+  return `${WEEKDAYS_ES[dayOfWeek(day)].replace('miercoles', 'miércoles').replace('sabado', 'sábado')} ${String(day.d).padStart(2, '0')}/${String(day.m).padStart(2, '0')}`;
+}
+
+// -> { date: {y,m,d}|null, time: {hh,mm}|null, error? } (cualquiera de las dos partes puede faltar)
+function parseAppointmentText(text, now = new Date()) {
+  let s = ` ${normalize(text).replace(/[,;]/g, ' ').replace(/\s+/g, ' ')} `;
+  const today = clinicWall(now);
+  const take = (re) => {
+    const m = s.match(re);
+    if (m) s = s.replace(m[0], ' ');
+    return m;
+  };
+  let date = null;
+  let time = null;
+  let m;
+
+  // "de la mañana" no es "mañana"
+  const pm = !!take(/\b(?:de la )?(?:tarde|noche)\b/);
+  take(/\bde la manana\b/);
+
+  // hora: "9:30", "9.30hs", "18 hs", "a las 9", "a las 9 y media"
+  if ((m = take(/\b([01]?\d|2[0-3]) ?[:.] ?([0-5]\d) ?(?:hs?|horas?)?\b/))) {
+    time = { hh: Number(m[1]), mm: Number(m[2]) };
+  } else if ((m = take(/\b(?:a las? )?([01]?\d|2[0-3]) ?(?:hs?|horas?)\b/) || take(/\ba las? ([01]?\d|2[0-3])\b/))) {
+    time = { hh: Number(m[1]), mm: 0 };
+  }
+
+  // fecha: "14/10", "14-10-2026", "14 de octubre", "hoy", "mañana", "pasado mañana"
+  if ((m = take(/\b(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2}|\d{4}))?\b/))) {
+    const y = m[3] ? (m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3])) : today.y;
+    date = validDay(y, Number(m[2]), Number(m[1]));
+    if (!date) return { date: null, time, error: 'invalid_date' };
+    if (!m[3] && dayBefore(date, addDays(today, -30))) date = validDay(y + 1, date.m, date.d);
+  } else if ((m = take(new RegExp(`\\b(\\d{1,2}) de (${MONTHS_ES.join('|')})\\b`)))) {
+    const month = MONTHS_ES.indexOf(m[2]) + 1;
+    date = validDay(today.y, month, Number(m[1]));
+    if (!date) return { date: null, time, error: 'invalid_date' };
+    if (dayBefore(date, addDays(today, -30))) date = validDay(today.y + 1, month, date.d);
+  } else if (take(/\bpasado manana\b/)) {
+    date = addDays(today, 2);
+  } else if (take(/\bmanana\b/)) {
+    date = addDays(today, 1);
+  } else if (take(/\bhoy\b/)) {
+    date = { y: today.y, m: today.m, d: today.d };
+  }
+
+  m = take(new RegExp(`\\b(${WEEKDAYS_ES.join('|')})\\b`));
+  const weekday = m ? WEEKDAYS_ES.indexOf(m[1]) : -1;
+
+  // números sueltos: "martes 14", "mañana 18", "el 14 a las 9"
+  const nums = (s.match(/\b\d{1,2}\b/g) || []).map(Number);
+  if (!date && nums.length && (weekday >= 0 || nums.length > 1 || time)) {
+    // el próximo día n (este mes o los que siguen); con día de semana, el primero que coincida
+    const n = nums[0];
+    let cand = null;
+    for (let i = 0, first = { y: today.y, m: today.m, d: 1 }; i < 6; i++, first = addDays(first, 31 - first.d + 1)) {
+      const c = validDay(first.y, first.m, n);
+      if (!c || dayBefore(c, today)) continue;
+      if (!cand) cand = c;
+      if (weekday < 0 || dayOfWeek(c) === weekday) {
+        cand = c;
+        break;
+      }
+    }
+    // "martes 9": si no hay un martes 9 en las próximas 4 semanas, el 9 es la hora
+    const soon = cand && !dayBefore(addDays(today, 28), cand);
+    if (cand && (weekday < 0 || time || nums.length > 1 || (dayOfWeek(cand) === weekday && soon))) {
+      date = cand;
+      nums.shift();
+    }
+  }
+  if (!time && nums.length && nums[0] <= 23) time = { hh: nums.shift(), mm: 0 };
+  if (time && !time.mm && take(/\by media\b/)) time.mm = 30;
+  else if (time && !time.mm && take(/\by cuarto\b/)) time.mm = 15;
+  if (time && pm && time.hh < 12) time.hh += 12;
+
+  if (weekday >= 0) {
+    if (!date) {
+      const ahead = (weekday - dayOfWeek(today) + 7) % 7 || 7;
+      date = addDays(today, ahead);
+    } else if (dayOfWeek(date) !== weekday) {
+      return { date: null, time, error: 'weekday_mismatch', weekday, day: date };
+    }
+  }
+
+  return { date, time };
+}
+
+// ================= Agenda propia =================
+// Opcional (`scheduling`): los servicios con agenda ofrecen los próximos horarios libres en vez del link de MrTurno.
+// El horario elegido queda retenido (held) mientras el paciente completa los datos y paga, se confirma (booked) con
+// el pago y se libera (released) al vencer la seña, cancelar o reprogramar.
+// Colección `slots`: `${case_id}|a` / `${case_id}|b` -> { resource, service, professional, start_at, end_at, case_id,
+// wa_from, status, held_until, claimed_at }. El recurso es el profesional (o el servicio si no hay): un mismo
+// profesional no se superpone aunque atienda en dos agendas. Cada caso usa a lo sumo dos filas (la actual y la del
+// horario nuevo mientras elige otro o reprograma); las liberadas de horarios que ya pasaron se borran cada hora.
+const SLOTS_COLLECTION = 'slots';
+const SLOT_OFFER_COUNT = 9; // + fila "Más horarios"
+const SLOT_HOLD_MARGIN_MS = 5 * 60 * 1000; // la retención dura un poco más que el link de pago
+const SLOT_PRUNE_EVERY_MS = 60 * 60 * 1000;
+const SLOT_PRUNE_BATCH = 50;
+
+function hhmmToMin(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+function compileScheduling(sc) {
+  if (!sc) return null;
+  const slotMinutes = sc.slot_minutes || 20;
+  return {
+    daysAhead: sc.days_ahead || 14,
+    minNoticeMs: (Number.isFinite(sc.min_notice_minutes) ? sc.min_notice_minutes : 60) * 60 * 1000,
+    holdMs: (sc.hold_minutes || 30) * 60 * 1000,
+    holidays: new Set(sc.holidays || []),
+    blocked: (sc.blocked || []).map((b) => ({
+      date: b.date,
+      from: b.from ? hhmmToMin(b.from) : 0,
+      to: b.to ? hhmmToMin(b.to) : 24 * 60,
+      service: normalize(b.service),
+      professional: normalize(b.professional),
+    })),
+    agendas: sc.agendas.map((a) => ({
+      service: a.service,
+      professional: a.professional || '',
+      resource: a.professional ? `prof:${compact(a.professional)}` : `svc:${compact(a.service)}`,
+      slotMinutes: a.slot_minutes || slotMinutes,
+      hours: Object.fromEntries(Object.entries(a.hours).map(([d, ranges]) => [d, ranges.map((r) => r.split('-').map(hhmmToMin))])),
+    })),
+  };
+}
+
+function agendasFor(label) {
+  if (!SCHEDULING || !label) return [];
+  return SCHEDULING.agendas.filter((a) => normalize(a.service) === normalize(label));
+}
+
+function dayKey({ y, m, d }) {
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+function slotBlocked(agenda, day, from, to) {
+  const key = dayKey(day);
+  if (SCHEDULING.holidays.has(key)) return true;
+  return SCHEDULING.blocked.some(
+    (b) =>
+      b.date === key &&
+      (!b.service || b.service === normalize(agenda.service)) &&
+      (!b.professional || b.professional === normalize(agenda.professional)) &&
+      b.from < to &&
+      from < b.to
+  );
+}
+
+function slotActive(rec, now = Date.now()) {
+  return rec.status === 'booked' || (rec.status === 'held' && Date.parse(rec.held_until) > now);
+}
+
+function slotsOverlap(a, b) {
+  return Date.parse(a.start_at) < Date.parse(b.end_at) && Date.parse(b.start_at) < Date.parse(a.end_at);
+}
+
+// Próximos horarios libres del servicio (todas sus agendas, en orden), desde la posición `from`
+async function availableSlots(label, { from = 0, limit = SLOT_OFFER_COUNT } = {}) {
+  const agendas = agendasFor(label);
+  if (!agendas.length) return { slots: [], more: false };
+
+  const now = Date.now();
+  const busy = (await storage.listRecords(SLOTS_COLLECTION)).filter((r) => slotActive(r, now));
+  const today = clinicWall(new Date(now));
+  const out = [];
+
+  for (let i = 0; i <= SCHEDULING.daysAhead && out.length <= from + limit; i++) {
+    const day = addDays(today, i);
+    const dow = DOW[dayOfWeek(day)];
+    const dayOut = [];
+    for (const a of agendas) {
+      for (const [start, end] of a.hours[dow] || []) {
+        for (let m = start; m + a.slotMinutes <= end; m += a.slotMinutes) {
+          const at = clinicWallToDate(day, { hh: Math.floor(m / 60), mm: m % 60 });
+          if (at.getTime() < now + SCHEDULING.minNoticeMs) continue;
+          if (slotBlocked(a, day, m, m + a.slotMinutes)) continue;
+          const slot = {
+            resource: a.resource,
+            service: a.service,
+            professional: a.professional,
+            start_at: at.toISOString(),
+            end_at: new Date(at.getTime() + a.slotMinutes * 60 * 1000).toISOString(),
+          };
+          if (busy.some((b) => b.resource === slot.resource && slotsOverlap(b, slot))) continue;
+          dayOut.push(slot);
+        }
+      }
+    }
+    out.push(...dayOut.sort((x, y) => x.start_at.localeCompare(y.start_at) || x.professional.localeCompare(y.professional)));
+  }
+
+  return { slots: out.slice(from, from + limit), more: out.length > from + limit };
+}
+
+// Reserva por recurso. En este proceso dos pacientes que eligen el mismo horario pasan de a uno por withKeyLock;
+// entre instancias no hay lock, así que cada caso escribe su propio registro (id con el case_id), relee y, si hay
+// otro activo que se superpone, gana el que reservó primero (claimed_at, después case_id; renovar o confirmar el
+// horario propio conserva el claimed_at): el que pierde suelta el suyo y recibe conflict.
+function sameSlot(a, b) {
+  return !!a && !!b && a.resource === b.resource && a.start_at === b.start_at;
+}
+
+// El mismo horario que ya tiene el caso (`prevId`) reusa su fila; uno distinto va a la otra, así la actual sigue
+// en pie hasta que quien llama la suelte (elegir otro, reprogramar)
+function slotRecordId(caseId, prevId, prev, slot) {
+  if (prevId && sameSlot(prev, slot)) return prevId;
+  return prevId === `${caseId}|a` ? `${caseId}|b` : `${caseId}|a`;
+}
+
+function slotPrecedes(a, b) {
+  return (a.claimed_at || '').localeCompare(b.claimed_at || '') < 0 || (a.claimed_at === b.claimed_at && a.case_id < b.case_id);
+}
+
+// Una sola lectura completa, después de escribir: el que ya tenía el horario reservó antes, así que también gana ahí
+async function claimSlot(slot, { caseId, waId, status, until, prevId = '' }) {
+  return withKeyLock(`slot:${slot.resource}`, async () => {
+    const now = Date.now();
+    const prev = prevId ? await storage.getRecord(SLOTS_COLLECTION, prevId) : null;
+    const id = slotRecordId(caseId, prevId, prev, slot);
+    const own = id === prevId ? prev : null;
+    const rec = {
+      resource: slot.resource,
+      service: slot.service,
+      professional: slot.professional || '',
+      start_at: slot.start_at,
+      end_at: slot.end_at,
+      case_id: caseId,
+      wa_from: waId,
+      status,
+      held_until: status === 'held' ? new Date(until).toISOString() : '',
+      claimed_at: own && own.case_id === caseId && slotActive(own, now) && own.claimed_at ? own.claimed_at : nowISO(),
+      updated_at: nowISO(),
+    };
+    const r = await storage.putRecord(SLOTS_COLLECTION, id, rec);
+    if (!r.ok) {
+      log('error', 'slot_save_failed', { id, case_id: caseId, reason: r.reason });
+      return { ok: false, reason: r.reason, id };
+    }
+
+    // releer: otro caso pudo tenerlo ya, o reservarlo a la vez desde otra instancia
+    const after = await storage.listRecords(SLOTS_COLLECTION);
+    const mine = after.find((x) => x.id === id);
+    const rival = after.find(
+      (x) => x.resource === slot.resource && x.case_id !== caseId && slotActive(x, now) && slotsOverlap(x, slot) && slotPrecedes(x, rec)
+    );
+    if (!mine || mine.case_id !== caseId || mine.held_until !== rec.held_until || rival) {
+      log('warn', 'slot_claim_lost', { id, case_id: caseId, rival: rival ? rival.case_id : undefined });
+      await storage.putRecord(SLOTS_COLLECTION, id, { ...rec, status: 'released', held_until: '', updated_at: nowISO() });
+      return { ok: false, conflict: true, id };
+    }
+    return { ok: true, id, slot: rec };
+  });
+}
+
+// Vuelve a tomar el horario guardado en el caso (retenido hasta `until` o confirmado)
+async function reclaimCaseSlot(c, status, until) {
+  const rec = await storage.getRecord(SLOTS_COLLECTION, c.slot_id);
+  if (!rec) return { ok: false, reason: 'missing' };
+  return claimSlot(rec, { caseId: c.case_id, waId: c.wa_from, status, until, prevId: c.slot_id });
+}
+
+// Con el pago (o sin seña): el horario pasa a booked. -> { ok, conflict?, reason? }; si se perdió en el medio,
+// quien llama no confirma el turno y lo deriva a recepción.
+async function commitCaseSlot(c) {
+  if (!c || !c.slot_id) return { ok: true };
+  const r = await reclaimCaseSlot(c, 'booked');
+  if (r.ok) {
+    await appendEvent(c.wa_from, c.case_id, 'slot', 'slot_booked', { slot_id: c.slot_id });
+    return r;
+  }
+  log('warn', 'slot_commit_failed', { case_id: c.case_id, slot_id: c.slot_id, reason: r.conflict ? 'conflict' : r.reason });
+  await appendEvent(c.wa_from, c.case_id, 'slot', 'slot_lost', { slot_id: c.slot_id, at: 'confirmation' });
+  return r;
+}
+
+async function releaseSlotRecord(c) {
+  const rec = c.slot_id ? await storage.getRecord(SLOTS_COLLECTION, c.slot_id) : null;
+  if (!rec || rec.case_id !== c.case_id || rec.status === 'released') return;
+  // la fila pudo pasar a otro horario del caso: solo se suelta el que el caso tenía
+  if (c.appointment_at && rec.start_at !== c.appointment_at) return;
+  await withKeyLock(`slot:${rec.resource}`, () =>
+    storage.putRecord(SLOTS_COLLECTION, c.slot_id, { ...rec, status: 'released', held_until: '', updated_at: nowISO() })
+  );
+}
+
+// Filas que ya no retienen nada y cuyo horario pasó: nadie las vuelve a tomar (los booked quedan para el .ics)
+function slotPrunable(r, now) {
+  return !slotActive(r, now) && Date.parse(r.end_at) < now;
+}
+
+let slotPruneRunning = false;
+async function pruneSlots() {
+  if (slotPruneRunning || !SCHEDULING) return;
+  slotPruneRunning = true;
+  try {
+    const now = Date.now();
+    const old = (await storage.listRecords(SLOTS_COLLECTION)).filter((r) => slotPrunable(r, now)).slice(0, SLOT_PRUNE_BATCH);
+    let count = 0;
+    for (const r of old) {
+      // en la cola del paciente: el caso puede estar reusando la fila para otro horario
+      const gone = await withKeyLock(r.wa_from || `slot:${r.resource}`, async () => {
+        const cur = await storage.getRecord(SLOTS_COLLECTION, r.id);
+        if (!cur || !slotPrunable(cur, Date.now())) return false;
+        await storage.deleteRecord(SLOTS_COLLECTION, r.id);
+        return true;
+      });
+      if (gone) count++;
+    }
+    if (count) log('info', 'slots_pruned', { count });
+  } catch (e) {
+    log('error', 'slots_prune_failed', { err: String(e?.message || e) });
+  } finally {
+    slotPruneRunning = false;
+  }
+}
+
+setInterval(pruneSlots, SLOT_PRUNE_EVERY_MS).unref();
+
+// ================= Copy =================
+// id = atajo que se escribe a mano (también es el id del botón/fila interactiva)
+const MENU_OPTIONS = [
+  { id: '1', label: 'Sacar turno' },
+  { id: '2', label: 'Estudios' },
+  { id: '3', label: 'Obras sociales / prepagas', title: 'Obras sociales' },
+  { id: '4', label: 'Dirección y horarios' },
+  { id: '5', label: 'Hablar con recepción' },
+];
+
+const PATIENT_TYPE_OPTIONS = [
+  { id: '1', label: 'Particular' },
+  { id: '2', label: 'Obra social' },
+];
+
+function menuIntro() {
+  return `Hola 👋 Soy la recepción automática de ${CEPA.name}.`;
+}
+
+function menuText() {
+  return `${menuIntro()}
+Elegí una opción (respondé con un número):
+
+${MENU_OPTIONS.map((o) => `${o.id}) ${o.label}`).join('\n')}
+
+0) Menú
+
+${CEPA.disclaimer}`;
+}
+
+function infoContacto() {
+  return `📍 ${CEPA.address}
+🕒 ${CEPA.hours}
+📞 Tel: ${CEPA.phone}
+✉️ Email: ${CEPA.email}`;
+}
+
+function servicesMenuText() {
+  return `¿Para qué especialidad? Respondé con la letra (o escribilo):
+
+${SERVICES.map((x) => `${x.key}) ${x.label}`).join('\n')}
+
+0) Menú`;
+}
+
+function studiesMenuText() {
+  return `¿Qué estudio necesitás? Respondé con el número (o escribilo):
+
+${STUDIES.map((x) => `${x.key}) ${x.label}`).join('\n')}
+
+0) Menú`;
+}
+
+function ambiguousText(items, byLetter) {
+  return `¿Cuál de estos? ${byLetter ? 'Respondé con la letra' : 'Respondé con el número'}:
+${items.map((x) => `${x.key}) ${x.label}`).join('\n')}`;
+}
+
+function mrTurnoText(extra, url) {
+  return `${extra ? extra + '\n\n' : ''}Para elegir día y horario usá MrTurno:
+${url || CEPA.mrturno}
+
+Cuando tengas el turno reservado, escribime “LISTO”.`;
+}
+
+function askAppointmentText(prefix) {
+  return `${prefix ? prefix + '\n' : ''}¿Para qué día y hora te dio el turno MrTurno? 🗓️
+Escribilo como quieras, por ejemplo: “martes 14 a las 9:30” o “14/10 9.30hs”.`;
+}
+
+function askAppointmentTimeText(day) {
+  return `¿Y a qué hora es el turno del ${formatClinicDay(day)}?`;
+}
+
+function appointmentUnclearText(p) {
+  if (p.error === 'weekday_mismatch') {
+    return `El ${String(p.day.d).padStart(2, '0')}/${String(p.day.m).padStart(2, '0')} no cae ${WEEKDAYS_ES[p.weekday]} 🤔 ¿Me pasás de nuevo día y hora? (ej: “14/10 9:30”)`;
+  }
+  if (p.error === 'past') return `Esa fecha ya pasó 🤔 ¿Me pasás de nuevo día y hora del turno?`;
+  if (p.error === 'too_far') return `Esa fecha está muy lejos 🤔 ¿Me pasás de nuevo día y hora del turno?`;
+  if (p.time) return `¿Qué día es el turno? (ej: “martes 14” o “14/10”)`;
+  return `No llegué a entender la fecha 🙏 Pasámela así: “martes 14 a las 9:30” o “14/10 9.30hs”.`;
+}
+
+function confirmAppointmentText(iso) {
+  return `Anoto tu turno para el ${formatClinicDate(iso)} hs. ¿Es correcto?
+1) Sí
+2) No, corregir`;
+}
 
 function patientTypePrompt() {
   return `¿Sos:
-1) Particular
-2) Obra social
+${PATIENT_TYPE_OPTIONS.map((o) => `${o.id}) ${o.label}`).join('\n')}
+
+(Respondé 1 o 2)`;
+}
+
+function coverageListText() {
+  return `Trabajamos con varias obras sociales/prepagas. Algunas frecuentes:\n• ${OBRAS_SOCIALES_TOP.join('\n• ')}`;
+}
+
+function coverageLookupPrompt() {
+  return `${coverageListText()}\n\nDecime cuál tenés (y el plan si lo sabés, ej: "OSDE 310") y te confirmo si está ✅`;
+}
+
+function coverageNotAcceptedText(chk, name, serviceLabel) {
+  const who = chk.item ? coverageDisplay(chk.item, chk.plan) : name;
+  if (chk.reason === 'plan') {
+    return `Con ${chk.item.label} trabajamos, pero el plan ${chk.plan} no está incluido 🙏\nPlanes aceptados: ${chk.item.plans.join(', ')}.`;
+  }
+  if (chk.reason === 'service') {
+    return `${chk.item.label} no cubre ${serviceLabel} en el centro 🙏`;
+  }
+  return `Por ahora no trabajamos con ${who} 🙏`;
+}
+
+function coverageRejectedOptionsText() {
+  return `¿Cómo seguimos?
+1) Seguir como particular
+2) Probar con otra obra social
+3) Hablar con recepción`;
+}
+
+function askOsNameText() {
+  return `Dale ✅ ¿Qué obra social tenés? (ej: OSDE, Swiss Medical, Galeno)`;
+}
+
+function osCarryPromptText(patient) {
+  const aff = patient.affiliate_number ? ` (afiliado ${maskId(patient.affiliate_number)})` : '';
+  return `¿Seguís con ${patient.os_name}${aff}?
+1) Sí
+2) No, cambié de obra social`;
+}
+
+function askOsTokenText() {
+  return `Perfecto ✅ Ahora pasame *N° de afiliado*, *DNI* y *token* (si tu obra social lo pide) en una sola línea.
+Ej: "Afiliado 61234567801 - DNI 30111222 - Token 123456"`;
+}
+
+function askOsMissingText(missing, errors) {
+  const what = missing.map((f) => `*${ID_FIELD_NAMES[f]}*`).join(' y ');
+  const why = errors.length ? `Ojo: ${errors.join('; ')}.\n` : '';
+  return `${why}Me falta ${what}. Pasámelo así: ${missing.map((f) => `"${ID_FIELD_NAMES[f]} ..."`).join(' - ')}`;
+}
+
+function paymentLinkText(url, amount) {
+  return `Perfecto ✅ Para confirmar necesitamos una seña de $${moneyARS(amount)}.
+
+🔗 Link de pago: ${url}
+
+Cuando pagues, escribime “PAGUÉ” (o “LISTO”).  
+Si preferís, también podés mandar una captura (pero la confirmación real es cuando Mercado Pago aprueba el pago).`;
+}
+
+function finalConfirmedText(receiptId) {
+  return `Listo ✅ Turno confirmado.
+🧾 Comprobante: ${receiptId}
+
+${infoContacto()}
+
+Si necesitás cambiar la fecha, escribí “reprogramar”; para cancelar, “cancelar turno”.`;
+}
+
+function rescheduleIntroText(c) {
+  const paid = c.payment_op_id && caseDepositAmount(c) ? `\nLa seña que ya pagaste ($${moneyARS(caseDepositAmount(c))}) pasa al turno nuevo, no se cobra de nuevo.` : '';
+  return `Dale, reprogramamos tu turno de ${c.service_label || 'turno'} 🔄${paid}`;
+}
+
+function rescheduleStartText(c, url) {
+  return mrTurnoText(`${rescheduleIntroText(c)}\nEn MrTurno cambiá o cancelá el turno anterior y reservá el nuevo.`, url) + `\n\n(“0” para dejar el turno como estaba)`;
+}
+
+function slotsText(slots, more) {
+  const lines = slots.map((x, i) => `${i + 1}) ${formatClinicDate(x.start_at)}${x.professional ? ` — ${x.professional}` : ''}`);
+  return `Estos son los próximos horarios libres. Respondé con el número:
+
+${lines.join('\n')}
+${more ? '\nEscribí “más” para ver otros horarios.' : ''}
+0) Menú`;
+}
+
+function rescheduledText(c, count, appointmentAt) {
+  const left = Math.max(0, RESCHEDULE_MAX - count);
+  const more = left ? `Podés reprogramarlo ${left} vez${left === 1 ? '' : 'es'} más.` : 'Para otro cambio, escribí “recepción”.';
+  const when = appointmentAt ? ` para el ${formatClinicDate(appointmentAt)} hs` : '';
+  return `Listo ✅ Turno reprogramado${when} (${c.service_label || 'turno'}).
+La seña queda para la nueva fecha. ${more}`;
+}
+
+function cancelPromptText(c, policy) {
+  const when = c.appointment_at ? ` del ${formatClinicDate(c.appointment_at)}` : '';
+  const money = !policy.paid
+    ? ''
+    : policy.refund
+      ? `\nTe devolvemos la seña completa ($${moneyARS(policy.amount)}) a tu medio de pago de Mercado Pago.`
+      : `\nComo faltan menos de ${CANCEL_REFUND_HOURS} h, la seña ($${moneyARS(policy.amount)}) no se devuelve.`;
+  return `¿Cancelamos tu turno de ${c.service_label || 'turno'}${when}?${money}
+
+1) Sí, cancelar
+2) No, mantenerlo`;
+}
+
+function cancelledText(c, result, policy) {
+  const money =
+    result.refund_status === 'refunded'
+      ? `\n💸 Te devolvimos $${moneyARS(result.refund_amount)}; según tu banco puede tardar unos días en verse.`
+      : result.refund_status === 'refund_failed'
+        ? `\nLa devolución de la seña no salió automática: recepción la hace a mano y te avisa.`
+        : result.refund_status === 'kept'
+          ? `\nLa seña no se devuelve${policy.refund ? '' : ` (cancelación con menos de ${CANCEL_REFUND_HOURS} h)`}.`
+          : '';
+  return `Listo, cancelamos tu turno de ${c.service_label || 'turno'} ✅${money}
+
+Si querés sacar otro, escribí “menu”.`;
+}
+
+function paymentExpiredText(label) {
+  const what = label ? `tu turno de ${label}` : 'tu turno';
+  return `⏰ Venció el link de pago de la seña para ${what}, así que liberamos el horario.
+
+1) Quiero un link nuevo
+2) Volver al menú
+
+Si ya pagaste, escribí “PAGUÉ” y lo reviso.`;
+}
+
+function resumePromptText(ctx) {
+  const what = ctx.label ? `tu turno de ${ctx.label}` : 'tu turno';
+  return `¡Hola de nuevo! 👋 ¿Seguimos con ${what}?
+
+1) Sí, seguir
+2) No, volver al menú`;
+}
+
+// Lo que se vuelve a mostrar al retomar cada paso
+function resumeStepText(state, ctx) {
+  switch (state) {
+    case 'ask_service':
+      return servicesMenuText();
+    case 'ask_study':
+      return studiesMenuText();
+    case 'awaiting_mrturno_done':
+      return mrTurnoText(`Seguimos ✅ ${ctx.label}`, ctx.bookingUrl);
+    case 'ask_appointment_at':
+      return ctx.apptDate ? askAppointmentTimeText(ctx.apptDate) : askAppointmentText();
+    case 'confirm_appointment_at':
+      return confirmAppointmentText(ctx.appointmentAt);
+    case 'ask_patient_type':
+      return patientTypePrompt();
+    case 'ask_os_name':
+      return askOsNameText();
+    case 'confirm_os_carry':
+      return osCarryPromptText({ os_name: ctx.carryOsName });
+    case 'os_not_accepted':
+      return coverageRejectedOptionsText();
+    case 'ask_os_token':
+      return ctx.osMissing && ctx.osMissing.length ? askOsMissingText(ctx.osMissing, []) : askOsTokenText();
+    case 'awaiting_payment':
+      return paymentLinkText(ctx.mpLink, ctx.depositAmount);
+    case 'payment_expired':
+      return paymentExpiredText(ctx.label);
+    case 'reschedule_booking':
+      return mrTurnoText(`Seguimos con la reprogramación ✅ ${ctx.label}`, ctx.bookingUrl);
+    default:
+      return menuText();
+  }
+}
+
+// ================= Mensajes interactivos =================
+// Menú, especialidades/estudios y tipo de paciente van como botones o lista de WhatsApp. El id de cada opción
+// es el mismo atajo que se escribe ("1", "a"...), así la máquina de estados no distingue toque de texto.
+// Si el envío interactivo falla (o en el simulador) sale el texto numerado de siempre.
+const WA_LIST_MAX_ROWS = 10;
+const MORE_PREFIX = 'more:'; // fila "Ver más": more:<ask_service|ask_study>:<página>
+
+function clip(s, max) {
+  const t = String(s || '');
+  return t.length > max ? `${t.slice(0, max - 1)}…` : t;
+}
+
+function buttonsMessage(body, options) {
+  return {
+    type: 'interactive',
+    interactive: {
+      type: 'button',
+      body: { text: clip(body, 1024) },
+      action: {
+        buttons: options.slice(0, 3).map((o) => ({ type: 'reply', reply: { id: o.id, title: clip(o.title || o.label, 20) } })),
+      },
+    },
+  };
+}
+
+function listMessage(body, buttonText, rows, footer) {
+  return {
+    type: 'interactive',
+    interactive: {
+      type: 'list',
+      body: { text: clip(body, 1024) },
+      ...(footer ? { footer: { text: clip(footer, 60) } } : {}),
+      action: {
+        button: clip(buttonText, 20),
+        sections: [
+          {
+            title: clip(buttonText, 24),
+            rows: rows.slice(0, WA_LIST_MAX_ROWS).map((r) => ({
+              id: r.id,
+              title: clip(r.title || r.label, 24),
+              ...(r.description ? { description: clip(r.description, 72) } : {}),
+            })),
+          },
+        ],
+      },
+    },
+  };
+}
+
+function withPrefix(prefix, text) {
+  return prefix ? `${prefix}\n\n${text}` : text;
+}
+
+async function sendInteractive(toWaId, message, fallbackText, opts = {}) {
+  if (!WA_INTERACTIVE_ON || isDevSimulated(toWaId)) return sendText(toWaId, fallbackText, opts);
+  if ((await windowOpen(toWaId)) === false) return sendText(toWaId, fallbackText, opts);
+
+  const r = await sendWhatsApp(toWaId, message, { kind: 'interactive', ...opts, windowFallback: true });
+  if (r.ok || r.queued || r.reason === 'missing_env') return r;
+
+  log('warn', 'wa_interactive_fallback', { to: toWaId, status: r.status });
+  return sendText(toWaId, fallbackText, opts);
+}
+
+async function sendMenu(waId, prefix) {
+  const rows = MENU_OPTIONS.map((o) => ({ ...o, description: o.title ? o.label : '' }));
+  const msg = listMessage(withPrefix(prefix, `${menuIntro()}\n¿En qué te ayudo?\n\n${CEPA.disclaimer}`), 'Ver opciones', rows);
+  return sendInteractive(waId, msg, withPrefix(prefix, menuText()));
+}
+
+async function sendPatientTypePrompt(waId, prefix) {
+  const msg = buttonsMessage(withPrefix(prefix, '¿Sos particular o tenés obra social?'), PATIENT_TYPE_OPTIONS);
+  return sendInteractive(waId, msg, withPrefix(prefix, patientTypePrompt()));
+}
+
+// Más de 10 ítems: páginas de 9 + fila "Ver más" (el id lleva la página siguiente)
+async function sendCatalogMenu(waId, state, page = 0, prefix = '') {
+  const isStudy = state === 'ask_study';
+  const items = isStudy ? STUDIES : SERVICES;
+  const perPage = items.length > WA_LIST_MAX_ROWS ? WA_LIST_MAX_ROWS - 1 : WA_LIST_MAX_ROWS;
+  const pages = Math.max(1, Math.ceil(items.length / perPage));
+  const p = Math.min(Math.max(0, page), pages - 1);
+
+  const rows = items.slice(p * perPage, (p + 1) * perPage).map((x) => ({ id: x.key, title: x.label, description: x.label.length > 24 ? x.label : '' }));
+  if (p + 1 < pages) rows.push({ id: `${MORE_PREFIX}${state}:${p + 1}`, title: 'Ver más opciones', description: `Página ${p + 2} de ${pages}` });
+
+  const body = isStudy ? '¿Qué estudio necesitás?' : '¿Para qué especialidad?';
+  const msg = listMessage(withPrefix(prefix, `${body} Elegí de la lista (o escribilo).`), isStudy ? 'Estudios' : 'Especialidades', rows, '0 = volver al menú');
+  return sendInteractive(waId, msg, withPrefix(prefix, isStudy ? studiesMenuText() : servicesMenuText()));
+}
+
+// Horarios de la agenda propia: el id de cada fila es el número de la opción ("mas" para los siguientes)
+async function sendSlotList(waId, slots, more, prefix) {
+  const rows = slots.map((x, i) => ({ id: String(i + 1), title: formatClinicDate(x.start_at), description: x.professional }));
+  if (more) rows.push({ id: 'mas', title: 'Más horarios', description: 'Ver los siguientes' });
+  const msg = listMessage(withPrefix(prefix, 'Estos son los próximos horarios libres. Elegí uno:'), 'Horarios', rows, '0 = volver al menú');
+  return sendInteractive(waId, msg, withPrefix(prefix, slotsText(slots, more)));
+}
 
-(Respondé 1 o 2)`;
+function parseMoreId(id) {
+  const m = /^more:(ask_service|ask_study):(\d+)$/.exec(String(id || ''));
+  return m ? { state: m[1], page: Number(m[2]) } : null;
 }
 
-function askOsNameText() {
-  return `Dale ✅ ¿Qué obra social tenés? (ej: OSDE, Swiss Medical, Galeno)`;
+// Al retomar, los pasos con opciones van interactivos; el resto, texto
+async function sendResumeStep(waId, state, ctx) {
+  if (state === 'ask_service' || state === 'ask_study') return sendCatalogMenu(waId, state);
+  if (state === 'ask_patient_type') return sendPatientTypePrompt(waId);
+  if (state === 'ask_slot') return offerSlots(waId, ctx);
+  return sendText(waId, resumeStepText(state, ctx));
 }
 
-function askOsTokenText() {
-  return `Perfecto ✅ Ahora pasame *token/afiliado* y *DNI* en una sola línea.
-Ej: "Token 123456 - DNI 30111222"`;
+// ================= Sessions =================
+// waId -> { state, ctx, updatedAt } en la colección `sessions` del storage: sobrevive reinicios y
+// la comparten varias instancias. Si no hay registro, se arma desde el `status` del caso.
+const SESSION_COLLECTION = 'sessions';
+const SESSION_TTL_MS = (() => {
+  const mins = Number(String(SESSION_TTL_MINUTES || '60').replace(/[^\d]/g, ''));
+  const safe = Number.isFinite(mins) && mins > 0 ? mins : 60;
+  return safe * 60 * 1000;
+})();
+const SESSION_KEEP_MS = 30 * 24 * 60 * 60 * 1000; // más viejo que esto: ni se ofrece retomar
+
+// status del caso -> estado del flujo ('awaiting_service' depende de flow_type)
+const STATUS_TO_STATE = {
+  awaiting_mrturno: 'awaiting_mrturno_done',
+  awaiting_appointment_at: 'ask_appointment_at',
+  awaiting_slot: 'ask_slot',
+  awaiting_patient_type: 'ask_patient_type',
+  awaiting_os_name: 'ask_os_name',
+  os_not_accepted: 'os_not_accepted',
+  awaiting_os_token: 'ask_os_token',
+  awaiting_payment: 'awaiting_payment',
+  payment_expired: 'payment_expired',
+  handoff: 'handoff',
+  payment_review: 'handoff',
+};
+
+// Estados a mitad de una reserva: al volver después del TTL se ofrece retomarlos
+const RESUMABLE_STATES = [
+  'ask_service',
+  'ask_study',
+  'awaiting_mrturno_done',
+  'ask_slot',
+  'ask_appointment_at',
+  'confirm_appointment_at',
+  'ask_patient_type',
+  'ask_os_name',
+  'confirm_os_carry',
+  'os_not_accepted',
+  'ask_os_token',
+  'awaiting_payment',
+  'payment_expired',
+  'reschedule_booking',
+];
+
+function freshSession() {
+  return { state: 'menu', ctx: {}, updatedAt: Date.now() };
 }
 
-function paymentLinkText(url) {
-  return `Perfecto ✅ Para confirmar necesitamos una seña de $${moneyARS(DEPOSIT_VALUE)}.
+function sessionFromCase(c) {
+  if (!c) return freshSession();
+  const updatedAt = Date.parse(c.updated_at) || 0;
+  if (Date.now() - updatedAt > SESSION_KEEP_MS) return freshSession();
+
+  let state = STATUS_TO_STATE[c.status];
+  if (c.status === 'awaiting_service') state = c.flow_type === 'estudio' ? 'ask_study' : 'ask_service';
+  if (!state) return freshSession();
+
+  const item = findCatalogItemByLabel(c.service_label);
+  const cov = c.os_name ? checkCoverage(c.os_name) : null;
+  const ctx = {
+    flow: c.flow_type === 'estudio' ? 'estudio' : 'turno',
+    label: c.service_label,
+    serviceKey: item ? item.key : '',
+    bookingUrl: bookingUrlFor(item),
+    patientType: c.patient_type,
+    osName: c.os_name,
+    osCoverage: cov && cov.item ? cov.item.label : '',
+    osPlan: cov ? cov.plan || '' : '',
+    osAffiliate: c.affiliate_number,
+    osDni: c.dni,
+    osToken: c.os_token,
+    depositAmount: caseDepositAmount(c),
+    mpLink: c.payment_link,
+  };
+  return { state, ctx, updatedAt, rebuilt: true };
+}
 
-🔗 Link de pago: ${url}
+async function getSession(waId) {
+  const s = await storage.getRecord(SESSION_COLLECTION, waId);
+  if (s && s.state) return { state: s.state, ctx: s.ctx || {}, updatedAt: Number(s.updatedAt) || 0 };
+  const c = caseCache.has(waId) ? caseCache.get(waId).caseObj : await storage.findCaseByWa(waId);
+  return sessionFromCase(c);
+}
+async function saveSession(waId, sess) {
+  const r = await storage.putRecord(SESSION_COLLECTION, waId, sess);
+  if (!r.ok) log('error', 'session_save_failed', { wa: waId, reason: r.reason });
+  return sess;
+}
+async function setSession(waId, state, ctxPatch = {}) {
+  const cur = await getSession(waId);
+  return saveSession(waId, { state, ctx: { ...cur.ctx, ...ctxPatch }, updatedAt: Date.now() });
+}
+async function resetSession(waId) {
+  return saveSession(waId, freshSession());
+}
 
-Cuando pagues, escribime “PAGUÉ” (o “LISTO”).  
-Si preferís, también podés mandar una captura (pero la confirmación real es cuando Mercado Pago aprueba el pago).`;
+// vencida, o armada desde el caso (se perdió la charla): en los dos casos se pregunta antes de seguir
+function sessionExpired(sess) {
+  return sess.state !== 'menu' && (sess.rebuilt || Date.now() - sess.updatedAt > SESSION_TTL_MS);
+}
+
+setInterval(async () => {
+  try {
+    const now = Date.now();
+    for (const s of await storage.listRecords(SESSION_COLLECTION)) {
+      if (!s.updatedAt || now - s.updatedAt > SESSION_KEEP_MS) await storage.deleteRecord(SESSION_COLLECTION, s.id);
+    }
+  } catch (e) {
+    log('error', 'session_cleanup_failed', { err: String(e?.message || e) });
+  }
+}, 60 * 60 * 1000).unref();
+
+// ================= Dedupe msg.id =================
+const seenMsg = new Map(); // msgId -> ts
+const SEEN_TTL_MS = 10 * 60 * 1000;
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, ts] of seenMsg.entries()) {
+    if (!ts || now - ts > SEEN_TTL_MS) seenMsg.delete(id);
+  }
+}, 60 * 1000).unref();
+
+// ================= Cola por conversación =================
+// Mensajes, webhooks de pago y acciones del panel sobre un mismo waId corren de a uno y en orden de llegada.
+// Si alguno se cuelga más de LOCK_TIMEOUT_MS se libera la cola (y el que esperaba recibe lock_timeout).
+const LOCK_TIMEOUT_MS = 30 * 1000;
+const keyQueues = new Map(); // key -> { tail, depth }
+const lockStats = { max_depth: 0, timeouts: 0 };
+
+async function withKeyLock(key, fn, timeoutMs = LOCK_TIMEOUT_MS) {
+  const q = keyQueues.get(key) || { tail: Promise.resolve(), depth: 0 };
+  keyQueues.set(key, q);
+  q.depth++;
+  lockStats.max_depth = Math.max(lockStats.max_depth, q.depth);
+  if (q.depth > 1) log('info', 'lock_queued', { key, depth: q.depth });
+
+  let release;
+  const prev = q.tail;
+  q.tail = new Promise((r) => (release = r));
+
+  let timer;
+  try {
+    await prev;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        lockStats.timeouts++;
+        log('error', 'lock_timeout', { key, timeout_ms: timeoutMs });
+        reject(new Error('lock_timeout'));
+      }, timeoutMs);
+    });
+    return await Promise.race([fn(), timeout]);
+  } finally {
+    clearTimeout(timer);
+    release();
+    if (--q.depth === 0) keyQueues.delete(key);
+  }
+}
+
+function lockMetrics() {
+  let queued = 0;
+  for (const q of keyQueues.values()) queued += q.depth;
+  return { active_keys: keyQueues.size, queued, ...lockStats };
+}
+
+// ================= Calendario (iCal) =================
+// Feeds .ics de turnos confirmados para que recepción se suscriba (todos, por servicio o por profesional) y el
+// .ics que recibe el paciente con la confirmación. Cada feed tiene su token (HMAC de ICAL_FEED_SECRET): si se
+// filtra una URL, no abre las demás.
+const ICS_DEFAULT_MINUTES = 30; // sin agenda propia no sabemos cuánto dura el turno
+const ICS_FEED_PAST_DAYS = 30;
+
+function icsText(s) {
+  return String(s || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function icsStamp(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// líneas de más de 75 bytes se parten (RFC 5545), sin cortar caracteres UTF-8
+function icsFold(line) {
+  const out = [];
+  let cur = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(cur + ch) > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = '';
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+function icsCalendar(name, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${icsText(CEPA.short)}//Recepcion Autopilot//ES`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`,
+    `X-WR-TIMEZONE:${CLINIC_TZ}`,
+  ];
+  for (const e of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}`,
+      `SEQUENCE:${e.sequence || 0}`,
+      `DTSTAMP:${icsStamp(e.stamp || nowISO())}`,
+      `DTSTART:${icsStamp(e.start)}`,
+      `DTEND:${icsStamp(e.end)}`,
+      `SUMMARY:${icsText(e.summary)}`,
+      `DESCRIPTION:${icsText(e.description)}`,
+      `LOCATION:${icsText(CEPA.address)}`,
+      'STATUS:CONFIRMED',
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// Fin del turno: el del horario de la agenda propia, si no ICS_DEFAULT_MINUTES
+function caseEndAt(c, slotsById) {
+  const slot = c.slot_id && slotsById.get(c.slot_id);
+  if (slot && slot.start_at === c.appointment_at) return slot.end_at;
+  return new Date(Date.parse(c.appointment_at) + ICS_DEFAULT_MINUTES * 60 * 1000).toISOString();
+}
+
+function caseIcsBase(c, slotsById) {
+  return {
+    uid: `${c.case_id}@${compact(CEPA.short)}`,
+    sequence: Number(c.reschedule_count) || 0,
+    stamp: c.updated_at,
+    start: c.appointment_at,
+    end: caseEndAt(c, slotsById),
+  };
+}
+
+// Evento de recepción: con teléfono, cobertura y estado de la seña
+function staffIcsEvent(c, slotsById) {
+  const who = c.professional ? ` — ${c.professional}` : '';
+  return {
+    ...caseIcsBase(c, slotsById),
+    summary: `${c.service_label || 'Turno'}${who} · ${c.wa_from}`,
+    description: [
+      `Caso: ${c.case_id}`,
+      `Paciente: +${c.wa_from}`,
+      `Cobertura: ${coverageLabel(c)}`,
+      `Seña: ${paymentStatusOf(c)}${Number(c.deposit_amount) ? ` ($${moneyARS(c.deposit_amount)})` : ''}`,
+      c.professional ? `Profesional: ${c.professional}` : '',
+    ]
+      .filter(Boolean)
+      .join('\n'),
+  };
+}
+
+// Evento del paciente: dirección, horarios de la clínica e indicaciones del servicio
+function patientIcsEvent(c, slotsById) {
+  const item = findCatalogItemByLabel(c.service_label);
+  return {
+    ...caseIcsBase(c, slotsById),
+    summary: `${c.service_label || 'Turno'} — ${CEPA.name}`,
+    description: [
+      c.professional ? `Profesional: ${c.professional}` : '',
+      `Dirección: ${CEPA.address}`,
+      `Horarios: ${CEPA.hours}`,
+      item && item.prep ? `Preparación: ${item.prep}` : '',
+      `Tel: ${CEPA.phone}`,
+      'Para reprogramar o cancelar, escribinos por WhatsApp.',
+    ]
+      .filter(Boolean)
+      .join('\n'),
+  };
+}
+
+function calendarFeedToken(feed) {
+  return crypto.createHmac('sha256', ICAL_FEED_SECRET).update(`ical:${feed}`).digest('hex').slice(0, 32);
+}
+
+// "todos", "servicio-<servicio>", "profesional-<nombre>"
+function feedMatches(feed, c) {
+  if (feed === 'todos') return true;
+  if (feed.startsWith('servicio-')) return compact(c.service_label) === feed.slice('servicio-'.length);
+  if (feed.startsWith('profesional-')) return !!c.professional && compact(c.professional) === feed.slice('profesional-'.length);
+  return false;
+}
+
+async function slotsIndex() {
+  return new Map((await storage.listRecords(SLOTS_COLLECTION)).map((r) => [r.id, r]));
+}
+
+// El del caso solo (sin leer la colección entera)
+async function caseSlotIndex(c) {
+  const rec = c.slot_id ? await storage.getRecord(SLOTS_COLLECTION, c.slot_id) : null;
+  return new Map(rec ? [[c.slot_id, rec]] : []);
+}
+
+async function feedCases() {
+  const from = Date.now() - ICS_FEED_PAST_DAYS * 24 * 60 * 60 * 1000;
+  return (await listCases()).filter((c) => c.status === 'confirmed' && Date.parse(c.appointment_at) >= from);
+}
+
+// Los feeds que tiene sentido ofrecer: servicios/profesionales con turnos confirmados o con agenda propia
+async function listCalendarFeeds() {
+  const cases = await feedCases();
+  const feeds = new Map([['todos', 'Todos los turnos']]);
+  const add = (prefix, label) => label && feeds.set(`${prefix}-${compact(label)}`, label);
+  for (const c of cases) {
+    add('servicio', c.service_label);
+    add('profesional', c.professional);
+  }
+  for (const a of SCHEDULING ? SCHEDULING.agendas : []) {
+    add('servicio', a.service);
+    add('profesional', a.professional);
+  }
+  return [...feeds].map(([feed, label]) => ({ feed, label, path: `/calendar/${feed}.ics?token=${calendarFeedToken(feed)}` }));
+}
+
+async function calendarFeedHandler(req, res) {
+  const feed = String(req.params.feed || '');
+  if (!ICAL_FEED_SECRET || !/^(todos|servicio-[a-z0-9]+|profesional-[a-z0-9]+)$/.test(feed)) return res.status(404).send('not_found');
+  if (!timingSafeEq(String(req.query.token || ''), calendarFeedToken(feed))) {
+    log('warn', 'ical_feed_forbidden', { feed, ip: req.ip });
+    return res.status(403).send('forbidden');
+  }
+
+  try {
+    const [cases, slotsById] = await Promise.all([feedCases(), slotsIndex()]);
+    const mine = cases.filter((c) => feedMatches(feed, c));
+    const first = mine[0];
+    const label = !first ? feed : feed.startsWith('profesional-') ? first.professional : first.service_label;
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).send(icsCalendar(`${CEPA.short} — ${feed === 'todos' ? 'turnos' : label}`, mine.map((c) => staffIcsEvent(c, slotsById))));
+  } catch (e) {
+    log('error', 'ical_feed_failed', { feed, err: String(e?.message || e) });
+    return res.status(500).send('error');
+  }
+}
+
+// El .ics del turno al paciente (con la confirmación y al reprogramar). Meta no acepta text/calendar como
+// documento: va como text/plain con extensión .ics, que el teléfono abre con el calendario.
+async function sendAppointmentIcs(waId, caseId) {
+  const c = await findCaseById(caseId);
+  if (!c || c.status !== 'confirmed' || !Number.isFinite(Date.parse(c.appointment_at))) return;
+
+  const content = icsCalendar(CEPA.name, [patientIcsEvent(c, await caseSlotIndex(c))]);
+  const r = await sendDocument(
+    waId,
+    { content, mime: 'text/plain', filename: `turno-${compact(CEPA.short)}.ics`, caption: 'Agendá tu turno 📅' },
+    { caseId, kind: 'appointment_ics' }
+  );
+  if (!r.ok) log('warn', 'appointment_ics_failed', { case_id: caseId, reason: r.reason || r.status });
+}
+
+// ================= Vencimiento de la seña =================
+// Cada minuto: casos awaiting_payment con payment_expires_at vencido pasan a payment_expired (dentro de la
+// cola del paciente). Antes se revisa si MP aprobó el pago sin avisar; si está pendiente (Rapipago/Pagofácil)
+// se espera al vencimiento del cupón.
+const PAYMENT_EXPIRY_EVERY_MS = 60 * 1000;
+
+// { ok, approved, pending } entre los pagos con external_reference = case_id
+async function findLateApproval(caseObj) {
+  const sr = await mpSearchByExternalRef(caseObj.case_id);
+  // simulador sin MP: no hay nada que buscar (y el barrido corre fuera de la captura del simulador)
+  if (!sr.ok && sr.reason === 'missing_mp_token' && DEV_ON) return { ok: true, approved: null, pending: null };
+  if (!sr.ok) return { ok: false, reason: sr.reason || `http_${sr.status}` };
+  const results = sr.results || [];
+  const approved = results.find((p) => mpPaymentMatches(p, caseObj.case_id, caseDepositAmount(caseObj)).ok) || null;
+  const pending = results.find((p) => ['pending', 'in_process', 'authorized'].includes(String(p.status))) || null;
+  return { ok: true, approved, pending };
+}
+
+// El turno se reserva en MrTurno: el evento queda para que recepción libere el horario allá
+async function releaseCaseSlot(caseObj, reason) {
+  await releaseSlotRecord(caseObj);
+  await appendEvent(caseObj.wa_from, caseObj.case_id, 'slot', 'slot_released', { reason, service: caseObj.service_label });
+}
+
+async function expireCasePayment(caseId) {
+  const c = await findCaseById(caseId);
+  if (!c || c.status !== 'awaiting_payment') return;
+  if (!(Date.parse(c.payment_expires_at) <= Date.now())) return;
+
+  const waId = c.wa_from;
+  const current = (await ensureCase(waId)).caseObj.case_id === caseId;
+  const sess = current ? await getSession(waId) : null;
+  const ctx = sess && sess.state === 'awaiting_payment' ? sess.ctx : sessionFromCase(c).ctx;
+
+  const late = await findLateApproval(c);
+  if (!late.ok) {
+    // sin poder mirar Mercado Pago no se vence: un pago aprobado no puede quedar como vencido; reintenta la próxima vuelta
+    log('warn', 'payment_expiry_deferred', { case_id: caseId, reason: late.reason });
+    return;
+  }
+  if (late.approved) {
+    await confirmPaymentFlow({ waId, caseId, paymentId: late.approved.id, ctx, label: c.service_label || undefined, source: 'expiry_check' });
+    return;
+  }
+  if (late.pending) {
+    const until = Date.parse(late.pending.date_of_expiration);
+    const next = new Date(Number.isFinite(until) && until > Date.now() ? until : Date.now() + PAYMENT_WINDOW_MS).toISOString();
+    await upsertCaseById(caseId, { payment_expires_at: next });
+    await appendEvent(waId, caseId, 'mp', 'payment_expiry_postponed', { paymentId: late.pending.id, until: next });
+    return;
+  }
+
+  await upsertCaseById(caseId, { status: 'payment_expired', last_message: 'Link de pago vencido' });
+  await appendEvent(waId, caseId, 'mp', 'payment_expired', { expires_at: c.payment_expires_at });
+  await releaseCaseSlot(c, 'payment_expired');
+
+  if (!current) return;
+  await setSession(waId, 'payment_expired', ctx);
+  await sendText(waId, paymentExpiredText(c.service_label), { caseId, kind: 'payment_expired' });
+}
+
+let expiryRunning = false;
+async function expireOverduePayments() {
+  if (expiryRunning) return;
+  expiryRunning = true;
+  try {
+    const now = Date.now();
+    const due = (await listCases()).filter((c) => c.status === 'awaiting_payment' && Date.parse(c.payment_expires_at) <= now);
+    for (const c of due) {
+      await withKeyLock(c.wa_from, () => expireCasePayment(c.case_id)).catch((e) =>
+        log('error', 'payment_expiry_failed', { case_id: c.case_id, err: String(e?.message || e) })
+      );
+    }
+  } catch (e) {
+    log('error', 'payment_expiry_failed', { err: String(e?.message || e) });
+  } finally {
+    expiryRunning = false;
+  }
+}
+
+setInterval(expireOverduePayments, PAYMENT_EXPIRY_EVERY_MS).unref();
+
+// Link nuevo para un caso vencido (mismo case_id = mismo external_reference)
+async function renewPaymentLink(waId, caseId, ctx, caseObj) {
+  const amount = Number(ctx.depositAmount) || caseDepositAmount(caseObj);
+  if (!(await keepCaseSlot(waId, caseId, { ...ctx, label: ctx.label || caseObj.service_label }))) return;
+  const mp = await createMpPreference({
+    caseId,
+    waId,
+    label: ctx.label,
+    patientType: ctx.patientType,
+    osName: ctx.osName,
+    osToken: ctx.osToken,
+    amount,
+  });
+
+  if (!mp.ok) {
+    await setSession(waId, 'handoff', {});
+    await upsertCase(waId, { status: 'mp_failed', last_message: 'mp_failed' });
+    await appendEvent(waId, caseId, 'mp', 'mp_failed', mp);
+    await sendText(waId, `Ahora mismo no pude generar el link. Escribí “recepción” y te lo resuelven ✅`);
+    return;
+  }
+
+  await setSession(waId, 'awaiting_payment', { depositAmount: amount, mpLink: mp.init_point });
+  await upsertCase(waId, {
+    payment_link: mp.init_point,
+    payment_expires_at: mp.expires_at,
+    status: 'awaiting_payment',
+    last_message: 'Link de pago renovado',
+  });
+  await appendEvent(waId, caseId, 'mp', 'mp_link_renewed', mp);
+
+  await sendText(waId, `Te generé un link nuevo 🔄\n\n${paymentLinkText(mp.init_point, amount)}`);
+}
+
+// ================= Cancelación =================
+// Paciente ("cancelar turno") o panel. Con más de CANCEL_REFUND_HOURS de anticipación se devuelve la seña
+// completa por la API de MP (payment_op_id); si no, queda. Sin fecha del turno (casos viejos) se devuelve.
+function cancellationPolicy(c, now = Date.now()) {
+  const amount = caseDepositAmount(c);
+  const paid = !!c.payment_op_id && amount > 0;
+  const start = Date.parse(c.appointment_at);
+  const hoursLeft = Number.isFinite(start) ? (start - now) / (60 * 60 * 1000) : null;
+  return { paid, amount, hoursLeft, refund: paid && (hoursLeft === null || hoursLeft > CANCEL_REFUND_HOURS) };
+}
+
+// refund: true/false pisa la política (solo desde el panel). Correr dentro de withKeyLock(waId).
+async function cancelCase(c, { by, refund, note = '' }) {
+  const waId = c.wa_from;
+  const policy = cancellationPolicy(c);
+  const doRefund = policy.paid && (typeof refund === 'boolean' ? refund : policy.refund);
+  const result = { refund_status: policy.paid ? 'kept' : 'not_paid', refund_id: '', refund_amount: '' };
+
+  if (doRefund) {
+    const r = isDevSimulated(waId)
+      ? { ok: true, data: { id: makeId('DEVREFUND'), amount: policy.amount } }
+      : await mpRefundPayment(c.payment_op_id, `refund-${c.case_id}`);
+    if (r.ok) {
+      Object.assign(result, {
+        refund_status: 'refunded',
+        refund_id: String(r.data?.id || ''),
+        refund_amount: String(r.data?.amount ?? policy.amount),
+      });
+    } else {
+      result.refund_status = 'refund_failed';
+      log('error', 'mp_refund_failed', { case_id: c.case_id, status: r.status, err: r.err || r.reason });
+    }
+    await appendEvent(waId, c.case_id, 'mp', r.ok ? 'mp_refund_ok' : 'mp_refund_failed', {
+      paymentId: c.payment_op_id,
+      refundId: result.refund_id,
+      amount: result.refund_amount,
+      err: r.ok ? undefined : r.err || r.reason,
+    });
+  }
+
+  await upsertCaseById(c.case_id, {
+    status: 'cancelled',
+    cancelled_at: nowISO(),
+    ...result,
+    last_message: note || `Cancelado (${by})`,
+  });
+  await appendEvent(waId, c.case_id, 'cancel', 'case_cancelled', {
+    by,
+    hoursLeft: policy.hoursLeft === null ? null : Math.round(policy.hoursLeft),
+    policyRefund: policy.refund,
+    override: typeof refund === 'boolean' ? refund : undefined,
+    refund_status: result.refund_status,
+  });
+  await releaseCaseSlot(c, 'cancelled');
+
+  if ((await ensureCase(waId)).caseObj.case_id === c.case_id) await resetSession(waId);
+  await sendText(waId, cancelledText(c, result, policy), { caseId: c.case_id, kind: 'cancellation', vars: { label: c.service_label || '' } });
+  return { status: 'cancelled', ...result };
+}
+
+// ================= Reprogramación =================
+// El turno sigue siendo el mismo caso (misma seña y payment_op_id): solo cambia la fecha y queda el historial.
+function rescheduleHistory(c) {
+  try {
+    const h = JSON.parse(c.reschedule_history || '[]');
+    return Array.isArray(h) ? h : [];
+  } catch {
+    return [];
+  }
+}
+
+// Un turno que ya pasó no se mueve: eso lo ve recepción
+function appointmentPassed(c) {
+  const t = Date.parse(c.appointment_at || '');
+  return Number.isFinite(t) && t <= Date.now();
+}
+
+// Correr dentro de withKeyLock(waId)
+async function finishReschedule(waId, c, { appointmentAt = '', slotId = '', professional = '', by = 'patient' } = {}) {
+  const count = (Number(c.reschedule_count) || 0) + 1;
+  const entry = { at: nowISO(), by, from: c.appointment_at || '', to: appointmentAt };
+  await upsertCaseById(c.case_id, {
+    appointment_at: appointmentAt,
+    slot_id: slotId,
+    professional,
+    reschedule_count: String(count),
+    reschedule_history: JSON.stringify([...rescheduleHistory(c), entry]),
+    last_message: 'Turno reprogramado',
+  });
+  await appendEvent(waId, c.case_id, 'reschedule', 'case_rescheduled', { ...entry, count, paymentId: c.payment_op_id || undefined });
+  // el horario anterior (el nuevo ya quedó en slots); si volvió a elegir el mismo, no se suelta
+  if (!slotId || slotId !== c.slot_id) await releaseCaseSlot(c, 'rescheduled');
+
+  await resetSession(waId);
+  await sendText(waId, rescheduledText(c, count, appointmentAt), { caseId: c.case_id, kind: 'reschedule', vars: { label: c.service_label || '' } });
+  await sendAppointmentIcs(waId, c.case_id);
+}
+
+async function abortReschedule(waId, caseId) {
+  await resetSession(waId);
+  await appendEvent(waId, caseId, 'reschedule', 'reschedule_aborted', {});
+  await sendText(waId, `Perfecto, tu turno sigue como estaba ✅`);
+}
+
+// Día y hora que dio MrTurno: junta lo que falte con lo del mensaje anterior y pide confirmación
+async function takeAppointmentText(waId, ctx, raw) {
+  const p = parseAppointmentText(raw);
+  const { apptDate } = ctx;
+  // setSession mezcla el ctx: lo del intento anterior se pisa explícito para que no sobreviva
+  const rest = { ...ctx, apptDate: null, appointmentAt: '' };
+  if (p.error) {
+    await setSession(waId, 'ask_appointment_at', rest);
+    await sendText(waId, appointmentUnclearText(p));
+    return;
+  }
+
+  const date = p.date || apptDate;
+  if (!date || !p.time) {
+    await setSession(waId, 'ask_appointment_at', date ? { ...rest, apptDate: date } : rest);
+    await sendText(waId, date ? askAppointmentTimeText(date) : appointmentUnclearText(p));
+    return;
+  }
+
+  const at = clinicWallToDate(date, p.time);
+  const error = at.getTime() < Date.now() ? 'past' : at.getTime() - Date.now() > APPOINTMENT_MAX_DAYS * 86400000 ? 'too_far' : '';
+  if (error) {
+    await setSession(waId, 'ask_appointment_at', rest);
+    await sendText(waId, appointmentUnclearText({ error }));
+    return;
+  }
+
+  await setSession(waId, 'confirm_appointment_at', { ...rest, appointmentAt: at.toISOString() });
+  await sendText(waId, confirmAppointmentText(at.toISOString()));
+}
+
+// Ofrece horarios de la agenda propia; si no hay lugar en los próximos días, sigue por MrTurno
+async function offerSlots(waId, ctx, from = 0, prefix = '') {
+  const base = { flow: ctx.flow, label: ctx.label, serviceKey: ctx.serviceKey, rescheduleCaseId: ctx.rescheduleCaseId };
+  const { slots, more } = await availableSlots(ctx.label, { from });
+
+  if (!slots.length) {
+    const bookingUrl = bookingUrlFor(findCatalogItemByLabel(ctx.label));
+    await setSession(waId, ctx.rescheduleCaseId ? 'reschedule_booking' : 'awaiting_mrturno_done', { ...base, bookingUrl });
+    await sendText(waId, mrTurnoText(`${prefix ? prefix + '\n' : ''}No encontré horarios libres en los próximos ${SCHEDULING.daysAhead} días 🙏`, bookingUrl));
+    return;
+  }
+
+  await setSession(waId, 'ask_slot', { ...base, slots, slotsFrom: from, slotsMore: more });
+  await sendSlotList(waId, slots, more, prefix);
+}
+
+// Horario elegido: en una reprogramación queda confirmado directo (la seña ya está); si no, retenido
+async function pickSlot(waId, caseId, ctx, slot, raw) {
+  const c = await findCaseById(ctx.rescheduleCaseId || caseId);
+  if (ctx.rescheduleCaseId && (!c || c.status !== 'confirmed' || appointmentPassed(c))) {
+    await resetSession(waId);
+    await sendMenu(waId, 'Ese turno ya no está activo 🙏');
+    return;
+  }
+
+  const status = ctx.rescheduleCaseId ? 'booked' : 'held';
+  const r = await claimSlot(slot, { caseId: c.case_id, waId, status, until: Date.now() + SCHEDULING.holdMs, prevId: c.slot_id });
+  if (!r.ok) {
+    await appendEvent(waId, c.case_id, 'slot', 'slot_conflict', { slot_id: r.id });
+    await offerSlots(waId, ctx, 0, r.conflict ? 'Uy, ese horario se acaba de ocupar 🙏' : 'No pude reservar ese horario 🙏');
+    return;
+  }
+
+  if (ctx.rescheduleCaseId) {
+    await finishReschedule(waId, c, { appointmentAt: slot.start_at, slotId: r.id, professional: slot.professional });
+    return;
+  }
+
+  if (c.slot_id && c.slot_id !== r.id) await releaseCaseSlot(c, 'replaced');
+  await setSession(waId, 'ask_patient_type', { flow: ctx.flow, label: ctx.label });
+  await upsertCase(waId, {
+    flow_type: ctx.flow,
+    service_label: ctx.label,
+    appointment_at: slot.start_at,
+    slot_id: r.id,
+    professional: slot.professional,
+    status: 'awaiting_patient_type',
+    last_message: raw.slice(0, 160),
+  });
+  await appendEvent(waId, caseId, 'slot', 'slot_held', { slot_id: r.id, until: r.slot.held_until });
+
+  const who = slot.professional ? ` con ${slot.professional}` : '';
+  await sendPatientTypePrompt(waId, `Reservado: ${formatClinicDate(slot.start_at)} hs${who} ✅\nTe lo guardo mientras completás los datos.`);
+}
+
+// Antes de pedir la seña: el horario elegido se retiene hasta que vence el link; si se perdió, se elige otro
+async function keepCaseSlot(waId, caseId, ctx) {
+  const c = await findCaseById(caseId);
+  if (!c || !c.slot_id) return true;
+
+  const r = await reclaimCaseSlot(c, 'held', Date.now() + PAYMENT_WINDOW_MS + SLOT_HOLD_MARGIN_MS);
+  if (r.ok) return true;
+
+  await appendEvent(waId, caseId, 'slot', 'slot_lost', { slot_id: c.slot_id, at: 'payment' });
+  await upsertCase(waId, { slot_id: '', appointment_at: '', status: 'awaiting_slot', last_message: 'Horario perdido' });
+  await offerSlots(waId, { flow: ctx.flow, label: ctx.label || c.service_label }, 0, 'Uy, el horario que habías elegido ya no está libre 🙏');
+  return false;
+}
+
+// Particular: seña (o confirmación directa si no corresponde) — desde el menú o tras una cobertura rechazada
+async function startParticularPayment(waId, caseId, ctx, raw) {
+  const flow = ctx.flow || 'turno';
+  const label = ctx.label || 'Turno';
+  const c = await findCaseById(caseId);
+  const dep = computeDeposit({ label, patientType: 'particular', at: depositAt(ctx.appointmentAt || c?.appointment_at) });
+  const amount = dep.amount;
+  if (!(await keepCaseSlot(waId, caseId, ctx))) return;
+
+  await upsertCase(waId, {
+    flow_type: flow,
+    patient_type: 'particular',
+    os_name: '',
+    os_token: '',
+    affiliate_number: '',
+    dni: '',
+    service_label: label,
+    deposit_amount: String(amount),
+    status: 'awaiting_payment',
+    last_message: raw.slice(0, 160),
+  });
+  await appendEvent(waId, caseId, 'deposit', 'deposit_computed', { amount, source: dep.source });
+
+  if (!amount) {
+    await confirmNoDepositFlow({ waId, caseId, ctx: { ...ctx, flow, label, patientType: 'particular' }, source: dep.source });
+    return;
+  }
+
+  const mp = await createMpPreference({
+    caseId,
+    waId,
+    label,
+    patientType: 'particular',
+    amount,
+  });
+
+  if (!mp.ok) {
+    await setSession(waId, 'handoff', {});
+    await upsertCase(waId, { status: 'mp_failed', last_message: 'mp_failed' });
+    await appendEvent(waId, caseId, 'mp', 'mp_failed', mp);
+    await sendText(waId, `Ahora mismo no pude generar el link. Escribí “recepción” y te lo resuelven ✅`);
+    return;
+  }
+
+  await setSession(waId, 'awaiting_payment', { flow, label, patientType: 'particular', depositAmount: amount, mpLink: mp.init_point });
+  await upsertCase(waId, {
+    flow_type: flow,
+    patient_type: 'particular',
+    service_label: label,
+    deposit_amount: String(amount),
+    payment_link: mp.init_point,
+    payment_expires_at: mp.expires_at,
+    status: 'awaiting_payment',
+    last_message: 'Link de pago enviado',
+  });
+  await appendEvent(waId, caseId, 'mp', 'mp_link_created', mp);
+
+  await sendText(waId, paymentLinkText(mp.init_point, amount));
+}
+
+// Obra social con afiliado/DNI/token completos: seña (o confirmación directa si no corresponde)
+async function startObraSocialPayment(waId, caseId, ctx, cur) {
+  const flow = ctx.flow || 'turno';
+  const label = ctx.label || 'Turno';
+  const osName = ctx.osName || '';
+  const masked = { affiliate: maskId(cur.affiliate), dni: maskId(cur.dni), token: maskId(cur.token) };
+
+  const osToken = cur.token;
+  const osAffiliate = cur.affiliate;
+  const osDni = cur.dni;
+  const c = await findCaseById(caseId);
+  const dep = computeDeposit({ label, patientType: 'obra_social', osName, at: depositAt(ctx.appointmentAt || c?.appointment_at) });
+  const amount = dep.amount;
+  if (!(await keepCaseSlot(waId, caseId, ctx))) return;
+
+  await upsertCase(waId, {
+    flow_type: flow,
+    patient_type: 'obra_social',
+    os_name: osName,
+    os_token: osToken,
+    affiliate_number: osAffiliate,
+    dni: osDni,
+    service_label: label,
+    deposit_amount: String(amount),
+    status: 'awaiting_payment',
+    last_message: 'Datos de afiliado recibidos',
+  });
+  await appendEvent(waId, caseId, 'os', 'os_token_received', { osName, ...masked });
+  await savePatient(waId, {
+    os_name: osName,
+    os_coverage: ctx.osCoverage || '',
+    os_plan: ctx.osPlan || '',
+    affiliate_number: osAffiliate,
+    dni: osDni,
+  });
+  await appendEvent(waId, caseId, 'deposit', 'deposit_computed', { amount, source: dep.source });
+
+  if (!amount) {
+    await confirmNoDepositFlow({
+      waId,
+      caseId,
+      ctx: { ...ctx, flow, label, patientType: 'obra_social', osName, osToken, osAffiliate, osDni },
+      source: dep.source,
+    });
+    return;
+  }
+
+  const mp = await createMpPreference({
+    caseId,
+    waId,
+    label,
+    patientType: 'obra_social',
+    osName,
+    osToken,
+    amount,
+  });
+
+  if (!mp.ok) {
+    await setSession(waId, 'handoff', {});
+    await upsertCase(waId, { status: 'mp_failed', last_message: 'mp_failed' });
+    await appendEvent(waId, caseId, 'mp', 'mp_failed', mp);
+    await sendText(waId, `Listo ✅ Tomé tus datos.\nAhora no pude generar el link.\nEscribí “recepción” y te lo hacen manual.`);
+    return;
+  }
+
+  await setSession(waId, 'awaiting_payment', {
+    flow,
+    label,
+    patientType: 'obra_social',
+    osName,
+    osToken,
+    osAffiliate,
+    osDni,
+    depositAmount: amount,
+    mpLink: mp.init_point,
+  });
+
+  await upsertCase(waId, {
+    flow_type: flow,
+    patient_type: 'obra_social',
+    os_name: osName,
+    os_token: osToken,
+    affiliate_number: osAffiliate,
+    dni: osDni,
+    service_label: label,
+    deposit_amount: String(amount),
+    payment_link: mp.init_point,
+    payment_expires_at: mp.expires_at,
+    status: 'awaiting_payment',
+    last_message: 'Link de pago enviado',
+  });
+  await appendEvent(waId, caseId, 'mp', 'mp_link_created', mp);
+
+  await sendText(waId, paymentLinkText(mp.init_point, amount));
 }
 
-function finalConfirmedText(receiptId) {
-  return `Listo ✅ Turno confirmado.
-🧾 Comprobante: ${receiptId}
+// Cobertura elegida (escrita o la que ya tenía el paciente): aceptada -> datos de afiliado; si no, opciones
+async function applyOsName(waId, caseId, ctx, input, raw) {
+  const chk = checkCoverage(input, ctx.label);
+
+  if (chk.status === 'ambiguous') {
+    await sendText(waId, `¿Cuál de estas?\n• ${chk.options.map((x) => x.label).join('\n• ')}`);
+    return;
+  }
+
+  if (chk.status !== 'accepted') {
+    const asked = input.slice(0, 60);
+    await setSession(waId, 'os_not_accepted', { ...ctx, osName: chk.item ? coverageDisplay(chk.item, chk.plan) : asked });
+    await upsertCase(waId, {
+      flow_type: ctx.flow,
+      patient_type: 'obra_social',
+      os_name: chk.item ? coverageDisplay(chk.item, chk.plan) : asked,
+      service_label: ctx.label,
+      status: 'os_not_accepted',
+      last_message: raw.slice(0, 160),
+    });
+    await appendEvent(waId, caseId, 'os', 'coverage_not_accepted', {
+      input: asked,
+      coverage: chk.item?.label || '',
+      plan: chk.plan || '',
+      reason: chk.reason || chk.status,
+    });
+    await sendText(waId, `${coverageNotAcceptedText(chk, asked, ctx.label)}\n\n${coverageRejectedOptionsText()}`);
+    return;
+  }
+
+  const osName = coverageDisplay(chk.item, chk.plan);
+  const next = { ...ctx, osName, osCoverage: chk.item.label, osPlan: chk.plan };
+
+  // datos que ya teníamos del paciente (confirmó que sigue con la misma): pedimos solo lo que falta
+  if (ctx.osAffiliate || ctx.osDni) {
+    const v = validateAffiliateData({ affiliate: ctx.osAffiliate, dni: ctx.osDni, token: '' }, {}, chk.item);
+    if (!v.missing.length) {
+      await startObraSocialPayment(waId, caseId, next, v.cur);
+      return;
+    }
+    await setSession(waId, 'ask_os_token', { ...next, osAffiliate: v.cur.affiliate, osDni: v.cur.dni, osMissing: v.missing });
+    await upsertCase(waId, {
+      flow_type: ctx.flow,
+      patient_type: 'obra_social',
+      os_name: osName,
+      affiliate_number: v.cur.affiliate,
+      dni: v.cur.dni,
+      service_label: ctx.label,
+      status: 'awaiting_os_token',
+      last_message: raw.slice(0, 160),
+    });
+    await appendEvent(waId, caseId, 'os', 'coverage_accepted', { coverage: chk.item.label, plan: chk.plan, carried: true });
+    await sendText(waId, `${osName} ✅\n\n${askOsMissingText(v.missing, [])}`);
+    return;
+  }
+
+  await setSession(waId, 'ask_os_token', next);
 
-${infoContacto()}
+  await upsertCase(waId, {
+    flow_type: ctx.flow,
+    patient_type: 'obra_social',
+    os_name: osName,
+    service_label: ctx.label,
+    status: 'awaiting_os_token',
+    last_message: raw.slice(0, 160),
+  });
+  await appendEvent(waId, caseId, 'os', 'coverage_accepted', { coverage: chk.item.label, plan: chk.plan });
 
-Si necesitás reprogramar, escribí “recepción”.`;
+  await sendText(waId, `${osName} ✅ trabajamos con esa cobertura.\n\n${askOsTokenText()}`);
 }
 
-// ================= Sessions =================
-const sessions = new Map(); // waId -> { state, ctx, updatedAt }
-const SESSION_TTL_MS = 60 * 60 * 1000;
+// Menú 3: "¿trabajan con mi obra social?"
+async function replyCoverageLookup(waId, caseId, input, raw) {
+  const chk = checkCoverage(input);
 
-function getSession(waId) {
-  return sessions.get(waId) || { state: 'menu', ctx: {}, updatedAt: Date.now() };
-}
-function setSession(waId, state, ctxPatch = {}) {
-  const cur = getSession(waId);
-  const next = { state, ctx: { ...cur.ctx, ...ctxPatch }, updatedAt: Date.now() };
-  sessions.set(waId, next);
-  return next;
-}
-function resetSession(waId) {
-  sessions.set(waId, { state: 'menu', ctx: {}, updatedAt: Date.now() });
-}
+  if (chk.status === 'ambiguous') {
+    await setSession(waId, 'os_lookup', {});
+    await sendText(waId, `¿Cuál de estas?\n• ${chk.options.map((x) => x.label).join('\n• ')}`);
+    return;
+  }
 
-setInterval(() => {
-  const now = Date.now();
-  for (const [k, s] of sessions.entries()) {
-    if (!s?.updatedAt || now - s.updatedAt > SESSION_TTL_MS) sessions.delete(k);
+  if (chk.status === 'unknown') {
+    await setSession(waId, 'os_lookup', {});
+    await appendEvent(waId, caseId, 'os', 'coverage_lookup', { input: input.slice(0, 60), result: 'unknown' });
+    await sendText(waId, `No la encontré en nuestra lista 🤔\n\n${coverageLookupPrompt()}\n\n0) Menú`);
+    return;
   }
-}, 60 * 1000).unref();
 
-// ================= Dedupe msg.id =================
-const seenMsg = new Map(); // msgId -> ts
-const SEEN_TTL_MS = 10 * 60 * 1000;
-setInterval(() => {
-  const now = Date.now();
-  for (const [id, ts] of seenMsg.entries()) {
-    if (!ts || now - ts > SEEN_TTL_MS) seenMsg.delete(id);
+  await resetSession(waId);
+  await upsertCase(waId, { status: 'info_os', last_message: raw.slice(0, 160) });
+  await appendEvent(waId, caseId, 'os', 'coverage_lookup', {
+    input: input.slice(0, 60),
+    coverage: chk.item.label,
+    plan: chk.plan || '',
+    result: chk.status,
+    reason: chk.reason || '',
+  });
+
+  if (chk.status === 'accepted') {
+    const only = chk.item.services ? `\nCubre: ${chk.item.services.join(', ')}.` : '';
+    await sendText(
+      waId,
+      `Sí ✅ trabajamos con ${coverageDisplay(chk.item, chk.plan)}.${only}\n\nPara sacar turno respondé 1 (o 2 para estudios).`
+    );
+    return;
   }
-}, 60 * 1000).unref();
+
+  await sendText(waId, `${coverageNotAcceptedText(chk, input)}\nIgual podés atenderte como particular: respondé 1 para sacar turno.`);
+}
 
 // ================= Core Flow (STATE-FIRST) =================
 async function handleUserText(waId, rawText) {
@@ -752,28 +4325,125 @@ async function handleUserText(waId, rawText) {
   const firstLine = raw.split('\n').map((s) => s.trim()).filter(Boolean)[0] || raw;
   const norm = normalize(firstLine);
 
-  const sess = getSession(waId);
+  let sess = await getSession(waId);
   const pack = await ensureCase(waId);
   const caseId = pack.caseObj.case_id;
 
-  // log inbound + touch M/N
-  await appendEvent(waId, caseId, 'message_in', raw.slice(0, 140), { text: raw });
-  await touchCaseMN(waId, raw.slice(0, 160));
+  // log inbound + touch M/N (DNI/afiliado/token van tapados)
+  const safeText = maskSensitiveText(raw);
+  await appendEvent(waId, caseId, 'message_in', safeText.slice(0, 140), { text: safeText });
+  await touchCaseMN(waId, safeText.slice(0, 160));
+
+  // ---------- SESIÓN VENCIDA: ofrecer retomar ----------
+  if (sessionExpired(sess)) {
+    if (RESUMABLE_STATES.includes(sess.state)) {
+      await saveSession(waId, { state: 'resume_prompt', ctx: { ...sess.ctx, resumeState: sess.state }, updatedAt: Date.now() });
+      await appendEvent(waId, caseId, 'session', 'session_resume_offered', { state: sess.state });
+      await sendText(waId, resumePromptText(sess.ctx));
+      return;
+    }
+    sess = await resetSession(waId);
+  }
+
+  if (sess.state === 'resume_prompt') {
+    const { resumeState, ...ctx } = sess.ctx;
+
+    if (['1', 'si', 'seguimos', 'seguir', 'dale'].includes(norm)) {
+      await saveSession(waId, { state: resumeState, ctx, updatedAt: Date.now() });
+      await appendEvent(waId, caseId, 'session', 'session_resumed', { state: resumeState });
+      await sendResumeStep(waId, resumeState, ctx);
+      return;
+    }
+
+    if (['2', 'no', '0', 'menu'].includes(norm)) {
+      await resetSession(waId);
+      await upsertCase(waId, { status: 'menu', last_message: raw.slice(0, 160) });
+      await sendMenu(waId);
+      return;
+    }
+
+    // "PAGUÉ" con el link ya enviado (o vencido): retomamos y lo procesamos como pago
+    if ((resumeState === 'awaiting_payment' || resumeState === 'payment_expired') && looksPaidIntent(norm)) {
+      sess = await saveSession(waId, { state: resumeState, ctx, updatedAt: Date.now() });
+      await appendEvent(waId, caseId, 'session', 'session_resumed', { state: resumeState });
+    } else {
+      await sendText(waId, resumePromptText(ctx));
+      return;
+    }
+  }
 
   // ---------- STATE-FIRST ----------
-  if (sess.state === 'awaiting_mrturno_done') {
-    if (['listo', 'ok', 'dale', 'ya'].includes(norm)) {
-      setSession(waId, 'ask_patient_type', { flow: sess.ctx.flow, label: sess.ctx.label });
+  if (sess.state === 'ask_service' || sess.state === 'ask_study') {
+    const isStudy = sess.state === 'ask_study';
+
+    if (norm === '0' || norm === 'menu') {
+      await resetSession(waId);
+      await upsertCase(waId, { status: 'menu', last_message: raw.slice(0, 160) });
+      await sendMenu(waId);
+      return;
+    }
+
+    const m = matchCatalog(firstLine, isStudy ? STUDIES : SERVICES);
+    if (!m) {
+      await sendCatalogMenu(waId, sess.state, 0, 'No encontré esa opción 🙏');
+      return;
+    }
+    if (m.ambiguous) {
+      await sendText(waId, ambiguousText(m.ambiguous, !isStudy));
+      return;
+    }
+
+    const item = m.item;
+
+    // con agenda propia se eligen horarios acá mismo
+    if (agendasFor(item.label).length) {
+      await upsertCase(waId, {
+        flow_type: sess.ctx.flow,
+        service_label: item.label,
+        status: 'awaiting_slot',
+        last_message: raw.slice(0, 160),
+      });
+      await appendEvent(waId, caseId, 'menu', isStudy ? 'study_selected' : 'service_selected', { key: item.key, label: item.label });
+      await offerSlots(waId, { flow: sess.ctx.flow, label: item.label, serviceKey: item.key }, 0, `Perfecto ✅ ${item.label}`);
+      return;
+    }
+
+    const bookingUrl = bookingUrlFor(item);
+    await setSession(waId, 'awaiting_mrturno_done', {
+      flow: sess.ctx.flow,
+      label: item.label,
+      serviceKey: item.key,
+      bookingUrl,
+    });
+    await upsertCase(waId, {
+      flow_type: sess.ctx.flow,
+      service_label: item.label,
+      status: 'awaiting_mrturno',
+      last_message: raw.slice(0, 160),
+    });
+    await appendEvent(waId, caseId, 'menu', isStudy ? 'study_selected' : 'service_selected', { key: item.key, label: item.label });
+    await sendText(waId, mrTurnoText(`Perfecto ✅ ${item.label}`, bookingUrl));
+    return;
+  }
 
+  if (sess.state === 'awaiting_mrturno_done') {
+    // "LISTO" no alcanza: pedimos el día y la hora (si ya los mandó, van directo a confirmar)
+    const p = parseAppointmentText(raw);
+    if (['listo', 'ok', 'dale', 'ya'].includes(norm) || (p.date && p.time)) {
       await upsertCase(waId, {
         flow_type: sess.ctx.flow,
         service_label: sess.ctx.label,
-        status: 'awaiting_patient_type',
+        status: 'awaiting_appointment_at',
         last_message: raw.slice(0, 160),
       });
-      await appendEvent(waId, caseId, 'state', 'ask_patient_type', { from: 'awaiting_mrturno_done' });
+      await appendEvent(waId, caseId, 'state', 'ask_appointment_at', { from: 'awaiting_mrturno_done' });
 
-      await sendText(waId, patientTypePrompt());
+      if (p.date && p.time) {
+        await takeAppointmentText(waId, sess.ctx, raw);
+      } else {
+        await setSession(waId, 'ask_appointment_at', sess.ctx);
+        await sendText(waId, askAppointmentText('Genial ✅'));
+      }
       return;
     }
 
@@ -788,52 +4458,126 @@ async function handleUserText(waId, rawText) {
     return;
   }
 
-  if (sess.state === 'ask_patient_type') {
-    if (norm === '1') {
-      const flow = sess.ctx.flow || 'turno';
-      const label = sess.ctx.label || 'Turno';
+  if (sess.state === 'ask_slot') {
+    if (norm === '0' || norm === 'menu') {
+      if (sess.ctx.rescheduleCaseId) {
+        await abortReschedule(waId, sess.ctx.rescheduleCaseId);
+        return;
+      }
+      await resetSession(waId);
+      await upsertCase(waId, { status: 'menu', last_message: raw.slice(0, 160) });
+      await sendMenu(waId);
+      return;
+    }
+
+    // armada desde el caso (sin la lista ofrecida) o "más": se vuelve a consultar la agenda
+    const offered = Array.isArray(sess.ctx.slots) ? sess.ctx.slots : null;
+    if (!offered) {
+      await offerSlots(waId, sess.ctx);
+      return;
+    }
+    if (['mas', 'ver mas', 'mas horarios', 'otros'].includes(norm)) {
+      await offerSlots(waId, sess.ctx, (sess.ctx.slotsFrom || 0) + offered.length);
+      return;
+    }
+
+    const slot = /^\d{1,2}$/.test(norm) ? offered[Number(norm) - 1] : null;
+    if (!slot) {
+      await sendSlotList(waId, offered, sess.ctx.slotsMore, 'Elegí un número de la lista 🙏');
+      return;
+    }
+    await pickSlot(waId, caseId, sess.ctx, slot, raw);
+    return;
+  }
+
+  if (sess.state === 'ask_appointment_at' || sess.state === 'confirm_appointment_at') {
+    const rescheduleCaseId = sess.ctx.rescheduleCaseId;
 
+    if (norm === '0' || norm === 'menu') {
+      if (rescheduleCaseId) {
+        await abortReschedule(waId, rescheduleCaseId);
+        return;
+      }
+      await resetSession(waId);
+      await upsertCase(waId, { status: 'menu', last_message: raw.slice(0, 160) });
+      await sendMenu(waId);
+      return;
+    }
+
+    if (sess.state === 'confirm_appointment_at' && ['1', 'si', 'correcto', 'ok', 'dale'].includes(norm)) {
+      const { appointmentAt } = sess.ctx;
+
+      if (rescheduleCaseId) {
+        const c = await findCaseById(rescheduleCaseId);
+        if (!c || c.status !== 'confirmed' || appointmentPassed(c)) {
+          await resetSession(waId);
+          await sendMenu(waId, 'Ese turno ya no está activo 🙏');
+          return;
+        }
+        await finishReschedule(waId, c, { appointmentAt });
+        return;
+      }
+
+      await setSession(waId, 'ask_patient_type', { flow: sess.ctx.flow, label: sess.ctx.label });
       await upsertCase(waId, {
-        flow_type: flow,
-        patient_type: 'particular',
-        service_label: label,
-        status: 'awaiting_payment',
+        flow_type: sess.ctx.flow,
+        service_label: sess.ctx.label,
+        appointment_at: appointmentAt,
+        status: 'awaiting_patient_type',
         last_message: raw.slice(0, 160),
       });
+      await appendEvent(waId, caseId, 'state', 'ask_patient_type', { from: 'confirm_appointment_at', appointment_at: appointmentAt });
 
-      const mp = await createMpPreference({
-        caseId,
-        waId,
-        label,
-        patientType: 'particular',
-        amount: DEPOSIT_VALUE,
-      });
+      await sendPatientTypePrompt(waId, `Anotado: ${formatClinicDate(appointmentAt)} hs ✅`);
+      return;
+    }
 
-      if (!mp.ok) {
-        setSession(waId, 'handoff', {});
-        await upsertCase(waId, { status: 'mp_failed', last_message: 'mp_failed' });
-        await appendEvent(waId, caseId, 'mp', 'mp_failed', mp);
-        await sendText(waId, `Ahora mismo no pude generar el link. Escribí “recepción” y te lo resuelven ✅`);
+    if (sess.state === 'confirm_appointment_at' && ['2', 'no', 'corregir'].includes(norm)) {
+      await setSession(waId, 'ask_appointment_at', { apptDate: null, appointmentAt: '' });
+      await sendText(waId, askAppointmentText('Dale, corrijamos 👍'));
+      return;
+    }
+
+    if (sess.state === 'confirm_appointment_at') {
+      const p = parseAppointmentText(raw);
+      if (!p.date && !p.time && !p.error) {
+        await sendText(waId, confirmAppointmentText(sess.ctx.appointmentAt));
         return;
       }
+    }
 
-      setSession(waId, 'awaiting_payment', { flow, label, patientType: 'particular', mpLink: mp.init_point });
-      await upsertCase(waId, {
-        flow_type: flow,
-        patient_type: 'particular',
-        service_label: label,
-        payment_link: mp.init_point,
-        status: 'awaiting_payment',
-        last_message: 'Link de pago enviado',
-      });
-      await appendEvent(waId, caseId, 'mp', 'mp_link_created', mp);
+    await takeAppointmentText(waId, sess.ctx, raw);
+    return;
+  }
 
-      await sendText(waId, paymentLinkText(mp.init_point));
+  if (sess.state === 'ask_patient_type') {
+    if (norm === '1') {
+      await startParticularPayment(waId, caseId, sess.ctx, raw);
       return;
     }
 
     if (norm === '2') {
-      setSession(waId, 'ask_os_name', { flow: sess.ctx.flow, label: sess.ctx.label, patientType: 'obra_social' });
+      // paciente que ya vino con obra social: "¿Seguís con OSDE?"
+      const patient = await getPatient(waId);
+      if (patient && patient.os_name) {
+        await setSession(waId, 'confirm_os_carry', {
+          flow: sess.ctx.flow,
+          label: sess.ctx.label,
+          patientType: 'obra_social',
+          carryOsName: patient.os_name,
+        });
+        await upsertCase(waId, {
+          flow_type: sess.ctx.flow,
+          patient_type: 'obra_social',
+          service_label: sess.ctx.label,
+          status: 'awaiting_os_name',
+          last_message: raw.slice(0, 160),
+        });
+        await sendText(waId, osCarryPromptText(patient));
+        return;
+      }
+
+      await setSession(waId, 'ask_os_name', { flow: sess.ctx.flow, label: sess.ctx.label, patientType: 'obra_social' });
       await upsertCase(waId, {
         flow_type: sess.ctx.flow,
         patient_type: 'obra_social',
@@ -850,76 +4594,115 @@ async function handleUserText(waId, rawText) {
   }
 
   if (sess.state === 'ask_os_name') {
+    if (norm === '0' || norm === 'menu') {
+      await resetSession(waId);
+      await upsertCase(waId, { status: 'menu', last_message: raw.slice(0, 160) });
+      await sendMenu(waId);
+      return;
+    }
+
     if (/^\d{6,}$/.test(raw)) {
       await sendText(waId, 'Decime el *nombre* de tu obra social (ej: OSDE, Swiss Medical, Galeno).');
       return;
     }
 
-    setSession(waId, 'ask_os_token', { ...sess.ctx, osName: raw.trim() });
+    await applyOsName(waId, caseId, sess.ctx, firstLine, raw);
+    return;
+  }
 
-    await upsertCase(waId, {
-      flow_type: sess.ctx.flow,
-      patient_type: 'obra_social',
-      os_name: raw.trim(),
-      service_label: sess.ctx.label,
-      status: 'awaiting_os_token',
-      last_message: raw.slice(0, 160),
-    });
+  if (sess.state === 'confirm_os_carry') {
+    const patient = (await getPatient(waId)) || {};
 
-    await sendText(waId, askOsTokenText());
+    if (['1', 'si', 'sigo', 'dale'].includes(norm)) {
+      await appendEvent(waId, caseId, 'os', 'os_carried_over', { coverage: patient.os_coverage || patient.os_name || '' });
+      await applyOsName(
+        waId,
+        caseId,
+        { ...sess.ctx, osAffiliate: patient.affiliate_number || '', osDni: patient.dni || '' },
+        patient.os_name || sess.ctx.carryOsName || '',
+        raw
+      );
+      return;
+    }
+
+    if (norm === '2' || norm === 'no') {
+      // cambió de cobertura: el DNI sigue siendo el mismo
+      await setSession(waId, 'ask_os_name', { osDni: patient.dni || '' });
+      await sendText(waId, askOsNameText());
+      return;
+    }
+
+    await sendText(waId, osCarryPromptText({ ...patient, os_name: patient.os_name || sess.ctx.carryOsName }));
     return;
   }
 
-  if (sess.state === 'ask_os_token') {
-    const flow = sess.ctx.flow || 'turno';
-    const label = sess.ctx.label || 'Turno';
-    const osName = sess.ctx.osName || '';
-    const osToken = raw.trim();
+  if (sess.state === 'os_not_accepted') {
+    if (norm === '1') {
+      await startParticularPayment(waId, caseId, { ...sess.ctx, osName: '', osCoverage: '', osPlan: '' }, raw);
+      return;
+    }
 
-    await upsertCase(waId, {
-      flow_type: flow,
-      patient_type: 'obra_social',
-      os_name: osName,
-      os_token: osToken,
-      service_label: label,
-      status: 'awaiting_payment',
-      last_message: raw.slice(0, 160),
-    });
-    await appendEvent(waId, caseId, 'os', 'os_token_received', { osName, osToken });
+    if (norm === '2') {
+      await setSession(waId, 'ask_os_name', { osName: '', osCoverage: '', osPlan: '', osAffiliate: '', osDni: '', osToken: '' });
+      await upsertCase(waId, { status: 'awaiting_os_name', last_message: raw.slice(0, 160) });
+      await sendText(waId, askOsNameText());
+      return;
+    }
 
-    const mp = await createMpPreference({
-      caseId,
-      waId,
-      label,
-      patientType: 'obra_social',
-      osName,
-      osToken,
-      amount: DEPOSIT_VALUE,
-    });
+    if (norm === '3' || wantsHandoff(norm)) {
+      await setSession(waId, 'handoff', {});
+      await upsertCase(waId, { status: 'handoff', last_message: `Cobertura no aceptada: ${sess.ctx.osName || ''}`.slice(0, 160) });
+      await appendEvent(waId, caseId, 'handoff', 'handoff_requested', { from: 'os_not_accepted' });
+      await sendText(waId, `Listo ✅ Te paso con recepción.\nContame en 1 línea qué necesitás (especialidad/estudio + día preferido).`);
+      return;
+    }
+
+    await sendText(waId, coverageRejectedOptionsText());
+    return;
+  }
 
-    if (!mp.ok) {
-      setSession(waId, 'handoff', {});
-      await upsertCase(waId, { status: 'mp_failed', last_message: 'mp_failed' });
-      await appendEvent(waId, caseId, 'mp', 'mp_failed', mp);
-      await sendText(waId, `Listo ✅ Tomé tus datos.\nAhora no pude generar el link.\nEscribí “recepción” y te lo hacen manual.`);
+  if (sess.state === 'os_lookup') {
+    if (norm === '0' || norm === 'menu') {
+      await resetSession(waId);
+      await upsertCase(waId, { status: 'menu', last_message: raw.slice(0, 160) });
+      await sendMenu(waId);
       return;
     }
 
-    setSession(waId, 'awaiting_payment', { flow, label, patientType: 'obra_social', osName, osToken, mpLink: mp.init_point });
+    await replyCoverageLookup(waId, caseId, firstLine, raw);
+    return;
+  }
 
-    await upsertCase(waId, {
-      flow_type: flow,
-      patient_type: 'obra_social',
-      os_name: osName,
-      os_token: osToken,
-      service_label: label,
-      payment_link: mp.init_point,
-      status: 'awaiting_payment',
-      last_message: 'Link de pago enviado',
-    });
-    await appendEvent(waId, caseId, 'mp', 'mp_link_created', mp);
+  if (sess.state === 'ask_os_token') {
+    const osName = sess.ctx.osName || '';
+    const coverage = COVERAGES.find((x) => x.label === sess.ctx.osCoverage) || null;
+
+    const prev = { affiliate: sess.ctx.osAffiliate, dni: sess.ctx.osDni, token: sess.ctx.osToken };
+    const parsed = parseAffiliateLine(raw, sess.ctx.osMissing);
+    const v = validateAffiliateData(prev, parsed, coverage);
+    const masked = { affiliate: maskId(v.cur.affiliate), dni: maskId(v.cur.dni), token: maskId(v.cur.token) };
+
+    if (v.missing.length) {
+      // guardamos lo que sí vino y pedimos solo lo que falta
+      await setSession(waId, 'ask_os_token', {
+        osAffiliate: v.cur.affiliate,
+        osDni: v.cur.dni,
+        osToken: v.cur.token,
+        osMissing: v.missing,
+      });
+      await upsertCase(waId, {
+        os_token: v.cur.token,
+        affiliate_number: v.cur.affiliate,
+        dni: v.cur.dni,
+        status: 'awaiting_os_token',
+        last_message: 'Datos de afiliado incompletos',
+      });
+      await appendEvent(waId, caseId, 'os', 'os_data_incomplete', { osName, missing: v.missing, errors: v.errors, ...masked });
+      await sendText(waId, askOsMissingText(v.missing, v.errors));
+      return;
+    }
 
-    await sendText(waId, paymentLinkText(mp.init_point));
+    await startObraSocialPayment(waId, caseId, sess.ctx, v.cur);
     return;
   }
 
@@ -929,7 +4712,7 @@ async function handleUserText(waId, rawText) {
     if (opId) {
       const chk = await mpGetPayment(opId);
       if (chk.ok) {
-        const match = mpPaymentMatches(chk.data, caseId, DEPOSIT_VALUE);
+        const match = mpPaymentMatches(chk.data, caseId, caseDepositAmount(pack.caseObj));
         if (match.ok) {
           await confirmPaymentFlow({ waId, caseId, paymentId: opId, ctx: sess.ctx, label: sess.ctx.label, source: 'by_id' });
           return;
@@ -959,7 +4742,7 @@ async function handleUserText(waId, rawText) {
       if (sr.ok) {
         const cand = (sr.results || [])[0];
         if (cand) {
-          const match = mpPaymentMatches(cand, caseId, DEPOSIT_VALUE);
+          const match = mpPaymentMatches(cand, caseId, caseDepositAmount(pack.caseObj));
           if (match.ok) {
             await confirmPaymentFlow({ waId, caseId, paymentId: cand.id, ctx: sess.ctx, label: sess.ctx.label, source: 'by_search' });
             return;
@@ -985,56 +4768,195 @@ async function handleUserText(waId, rawText) {
     return;
   }
 
+  if (sess.state === 'reschedule_booking') {
+    const c = await findCaseById(sess.ctx.rescheduleCaseId);
+    if (!c || c.status !== 'confirmed' || appointmentPassed(c)) {
+      await resetSession(waId);
+      await sendMenu(waId, 'Ese turno ya no está activo 🙏');
+      return;
+    }
+
+    if (['listo', 'ok', 'dale', 'ya'].includes(norm)) {
+      await setSession(waId, 'ask_appointment_at', sess.ctx);
+      await sendText(waId, askAppointmentText('Genial ✅'));
+      return;
+    }
+
+    if (['0', 'no', 'menu', 'cancelar'].includes(norm)) {
+      await abortReschedule(waId, c.case_id);
+      return;
+    }
+
+    const p = parseAppointmentText(raw);
+    if (p.date && p.time) {
+      await takeAppointmentText(waId, sess.ctx, raw);
+      return;
+    }
+
+    await sendText(waId, `Cuando tengas el nuevo turno en MrTurno, escribime “LISTO” ✅\n(“0” para dejar el turno como estaba)`);
+    return;
+  }
+
+  if (sess.state === 'confirm_cancel') {
+    const c = await findCaseById(sess.ctx.cancelCaseId);
+    if (!c || c.status !== 'confirmed') {
+      await resetSession(waId);
+      await sendMenu(waId, 'Ese turno ya no está activo 🙏');
+      return;
+    }
+
+    if (['1', 'si', 'cancelar', 'cancelalo'].includes(norm)) {
+      await cancelCase(c, { by: 'patient' });
+      return;
+    }
+
+    if (['2', 'no', '0', 'menu'].includes(norm)) {
+      await resetSession(waId);
+      await appendEvent(waId, c.case_id, 'cancel', 'cancel_aborted', {});
+      await sendText(waId, `Perfecto, tu turno sigue en pie ✅`);
+      return;
+    }
+
+    await sendText(waId, cancelPromptText(c, cancellationPolicy(c)));
+    return;
+  }
+
+  if (sess.state === 'payment_expired') {
+    if (['2', '0', 'no', 'menu'].includes(norm)) {
+      await resetSession(waId);
+      await upsertCase(waId, { last_message: raw.slice(0, 160) });
+      await sendMenu(waId);
+      return;
+    }
+
+    if (looksPaidIntent(norm) || ['1', 'si', 'dale', 'nuevo', 'link'].includes(norm) || norm.includes('link')) {
+      // antes de generar otra preferencia: ¿se aprobó tarde la anterior? (evita cobrar dos veces)
+      const late = await findLateApproval(pack.caseObj);
+      if (late.approved) {
+        await confirmPaymentFlow({ waId, caseId, paymentId: late.approved.id, ctx: sess.ctx, label: sess.ctx.label, source: 'late_approval' });
+        return;
+      }
+      if (!late.ok) {
+        await appendEvent(waId, caseId, 'mp', 'mp_search_failed', { reason: late.reason });
+        await sendText(waId, `Ahora mismo no pude revisar el pago anterior.\nProbá en unos minutos o escribí “recepción”.`);
+        return;
+      }
+      if (late.pending) {
+        await appendEvent(waId, caseId, 'mp', 'mp_late_payment_pending', { paymentId: late.pending.id });
+        await sendText(
+          waId,
+          `Tu pago figura *pendiente* en Mercado Pago (Rapipago/Pagofácil puede demorar).\nCuando se acredite te confirmo el turno por acá ✅`
+        );
+        return;
+      }
+      await renewPaymentLink(waId, caseId, sess.ctx, pack.caseObj);
+      return;
+    }
+
+    await sendText(waId, paymentExpiredText(sess.ctx.label));
+    return;
+  }
+
   // ---------- ATAJOS SOLO EN MENU ----------
   if (sess.state === 'menu') {
     if (norm === '0' || norm === 'menu' || norm === 'menú' || norm === 'inicio') {
-      resetSession(waId);
+      await resetSession(waId);
       await upsertCase(waId, { status: 'menu', last_message: raw.slice(0, 160) });
-      await sendText(waId, menuText());
+      await sendMenu(waId);
+      return;
+    }
+
+    // palabras de handoff (urgencias, estética, "humano") antes que cualquier otro atajo.
+    // Un turno confirmado/cancelado/vencido queda como está: el pedido va en un caso nuevo
+    if (wantsHandoff(norm)) {
+      const open = await ensureOpenCase(waId);
+      await setSession(waId, 'handoff', {});
+      await upsertCase(waId, { status: 'handoff', last_message: raw.slice(0, 160) });
+      await appendEvent(waId, open.caseObj.case_id, 'handoff', 'handoff_requested', {});
+      await sendText(waId, `Listo ✅ Te paso con recepción.\nContame en 1 línea qué necesitás (especialidad/estudio + día preferido).`);
+      return;
+    }
+
+    // "reprogramar": vuelve al paso de reserva del mismo caso, sin cobrar de nuevo
+    if (norm.includes('reprogram') || norm.includes('cambiar turno') || norm.includes('cambiar el turno')) {
+      const c = pack.caseObj;
+      if (c.status !== 'confirmed') {
+        await sendMenu(waId, 'No encontré un turno confirmado para reprogramar 🙏');
+        return;
+      }
+      if (appointmentPassed(c)) {
+        await appendEvent(waId, c.case_id, 'reschedule', 'reschedule_rejected', { reason: 'past', appointment_at: c.appointment_at });
+        await sendText(waId, `Ese turno (${formatClinicDate(c.appointment_at)} hs) ya pasó 🙏\nPara sacar uno nuevo respondé 1, o escribí “recepción”.`);
+        return;
+      }
+      const done = Number(c.reschedule_count) || 0;
+      if (done >= RESCHEDULE_MAX) {
+        await appendEvent(waId, c.case_id, 'reschedule', 'reschedule_limit_reached', { count: done, max: RESCHEDULE_MAX });
+        await sendText(waId, `Este turno ya se reprogramó ${done} ${done === 1 ? 'vez' : 'veces'} 🙏\nPara otro cambio escribí “recepción” y te ayudan.`);
+        return;
+      }
+      await appendEvent(waId, c.case_id, 'reschedule', 'reschedule_requested', { count: done });
+      if (agendasFor(c.service_label).length) {
+        await offerSlots(waId, { rescheduleCaseId: c.case_id, label: c.service_label }, 0, `${rescheduleIntroText(c)}\n(“0” para dejar el turno como estaba)`);
+        return;
+      }
+      const item = findCatalogItemByLabel(c.service_label);
+      const bookingUrl = bookingUrlFor(item);
+      await setSession(waId, 'reschedule_booking', { rescheduleCaseId: c.case_id, label: c.service_label, bookingUrl });
+      await sendText(waId, rescheduleStartText(c, bookingUrl));
+      return;
+    }
+
+    // "cancelar turno": sobre el turno confirmado del caso actual
+    if (norm.includes('cancelar')) {
+      const c = pack.caseObj;
+      if (c.status !== 'confirmed') {
+        await sendMenu(waId, 'No encontré un turno confirmado para cancelar 🙏');
+        return;
+      }
+      const policy = cancellationPolicy(c);
+      await setSession(waId, 'confirm_cancel', { cancelCaseId: c.case_id });
+      await appendEvent(waId, c.case_id, 'cancel', 'cancel_requested', { paid: policy.paid, refund: policy.refund });
+      await sendText(waId, cancelPromptText(c, policy));
       return;
     }
 
-    if (norm.includes('obra') || norm.includes('prepaga') || norm.includes('osde') || norm.includes('swiss')) {
+    // "¿aceptan OSDE?" -> respondemos directo; "obra social" a secas -> pedimos cuál
+    const covAsked = coverageIntent(firstLine) || !!exactCoverage(firstLine);
+    const covChk = covAsked ? checkCoverage(firstLine) : { status: 'unknown' };
+    if (covAsked) {
+      if (covChk.item) {
+        await replyCoverageLookup(waId, caseId, firstLine, raw);
+        return;
+      }
+      await setSession(waId, 'os_lookup', {});
       await upsertCase(waId, { status: 'info_os', last_message: raw.slice(0, 160) });
-      await sendText(
-        waId,
-        `Trabajamos con varias obras sociales/prepagas. Algunas frecuentes:\n• ${OBRAS_SOCIALES_TOP.join('\n• ')}\n\nSi me decís cuál tenés, te confirmo si está.`
-      );
+      await sendText(waId, coverageLookupPrompt());
       return;
     }
 
     if (norm === '1') {
-      setSession(waId, 'awaiting_mrturno_done', { flow: 'turno', label: 'Turno' });
-      await upsertCase(waId, {
-        flow_type: 'turno',
-        service_label: 'Turno',
-        status: 'awaiting_mrturno',
-        last_message: raw.slice(0, 160),
-      });
-      await appendEvent(waId, caseId, 'menu', 'turno', {});
-      await sendText(waId, mrTurnoText('Perfecto ✅'));
+      const open = await ensureOpenCase(waId);
+      await setSession(waId, 'ask_service', { flow: 'turno' });
+      await upsertCase(waId, { flow_type: 'turno', status: 'awaiting_service', last_message: raw.slice(0, 160) });
+      await appendEvent(waId, open.caseObj.case_id, 'menu', 'turno', {});
+      await sendCatalogMenu(waId, 'ask_service');
       return;
     }
 
     if (norm === '2') {
-      setSession(waId, 'awaiting_mrturno_done', { flow: 'estudio', label: 'Estudios' });
-      await upsertCase(waId, {
-        flow_type: 'estudio',
-        service_label: 'Estudios',
-        status: 'awaiting_mrturno',
-        last_message: raw.slice(0, 160),
-      });
-      await appendEvent(waId, caseId, 'menu', 'estudios', {});
-      await sendText(waId, mrTurnoText('Perfecto ✅'));
+      const open = await ensureOpenCase(waId);
+      await setSession(waId, 'ask_study', { flow: 'estudio' });
+      await upsertCase(waId, { flow_type: 'estudio', status: 'awaiting_service', last_message: raw.slice(0, 160) });
+      await appendEvent(waId, open.caseObj.case_id, 'menu', 'estudios', {});
+      await sendCatalogMenu(waId, 'ask_study');
       return;
     }
 
     if (norm === '3') {
+      await setSession(waId, 'os_lookup', {});
       await upsertCase(waId, { status: 'info_os', last_message: raw.slice(0, 160) });
-      await sendText(
-        waId,
-        `Trabajamos con varias obras sociales/prepagas. Algunas frecuentes:\n• ${OBRAS_SOCIALES_TOP.join('\n• ')}\n\nSi me decís cuál tenés, te confirmo si está.`
-      );
+      await sendText(waId, coverageLookupPrompt());
       return;
     }
 
@@ -1044,35 +4966,41 @@ async function handleUserText(waId, rawText) {
       return;
     }
 
-    if (norm === '5' || norm.includes('recep') || norm.includes('humano')) {
-      setSession(waId, 'handoff', {});
-      await upsertCase(waId, { status: 'handoff', last_message: raw.slice(0, 160) });
-      await appendEvent(waId, caseId, 'handoff', 'handoff_requested', {});
-      await sendText(waId, `Listo ✅ Te paso con recepción.\nContame en 1 línea qué necesitás (especialidad/estudio + día preferido).`);
-      return;
-    }
-
     await upsertCase(waId, { status: 'menu', last_message: raw.slice(0, 160) });
-    await sendText(waId, menuText());
+    await sendMenu(waId);
     return;
   }
 
   // fallback total
-  resetSession(waId);
+  await resetSession(waId);
   await upsertCase(waId, { status: 'fallback', last_message: raw.slice(0, 160) });
-  await sendText(waId, menuText());
+  await sendMenu(waId);
 }
 
 // ================= MercadoPago Webhook (AUTO-CONFIRM) =================
 // ✅ Para Rapipago/Pagofácil: queda pending y luego MP manda evento -> confirmamos cuando pase a approved
 app.post('/webhooks/mercadopago', express.json({ type: '*/*' }), async (req, res) => {
+  // MP manda el id en la query (?data.id=...&type=payment) y en el body
+  const paymentId = String(req.query['data.id'] || req.body?.data?.id || req.body?.id || '');
+
+  if (!MP_WEBHOOK_SECRET) log('warn', 'missing_MP_WEBHOOK_SECRET_signature_not_verified');
+  const sig = verifyMpSignature(
+    { signatureHeader: req.header('x-signature'), requestId: req.header('x-request-id'), dataId: paymentId },
+    MP_WEBHOOK_SECRET
+  );
+  if (!sig.ok) {
+    log('warn', 'mp_webhook_rejected', { reason: sig.reason, ip: req.ip, payment_id: paymentId.slice(0, 40) });
+    appendEvent('', '', 'security', 'mp_webhook_rejected', { reason: sig.reason, ip: req.ip, paymentId: paymentId.slice(0, 40) }).catch(
+      () => {}
+    );
+    return res.status(401).json({ ok: false, error: sig.reason });
+  }
+
   // responder rápido
   res.status(200).json({ ok: true });
 
   try {
     if (!MP_ACCESS_TOKEN) return;
-
-    const paymentId = req.body?.data?.id || req.body?.id;
     if (!paymentId) return;
 
     const chk = await mpGetPayment(paymentId);
@@ -1085,27 +5013,35 @@ app.post('/webhooks/mercadopago', express.json({ type: '*/*' }), async (req, res
 
     if (!caseId.startsWith('CASE-')) return;
 
-    // log event (si podemos mapear wa)
-    const found = await findCaseRowByCaseId(caseId);
-    const waId = found?.waId || '';
+    const caseObj = await findCaseById(caseId);
+    const waId = caseObj?.wa_from || '';
 
-    await appendEvent(waId, caseId, 'mp', `mp_webhook_status_${status}`, { paymentId, status, amount });
+    // en la cola del paciente: no pisarse con un "PAGUÉ" (ni con otra notificación del mismo pago) que llega a la vez
+    await withKeyLock(waId || `mp:${paymentId}`, async () => {
+      const prev = await getMpPayment(paymentId);
+      if (prev && prev.status === status) {
+        log('info', 'mp_webhook_duplicate', { payment_id: paymentId, status });
+        return;
+      }
 
-    if (status !== 'approved') return;
+      await appendEvent(waId, caseId, 'mp', `mp_webhook_status_${status}`, { paymentId, status, amount, prev: prev?.status });
 
-    // validación monto (simple)
-    if (Math.abs(amount - Number(DEPOSIT_VALUE)) > 0.001) return;
+      if (status === 'approved' && waId) {
+        // validación contra la seña guardada en el propio caso (releído ya dentro de la cola)
+        const current = (await findCaseById(caseId)) || caseObj;
+        const match = mpPaymentMatches(pay, caseId, caseDepositAmount(current));
+        if (!match.ok) {
+          await appendEvent(waId, caseId, 'mp', 'mp_webhook_rejected', { paymentId, reason: match.reason, amount });
+          await recordMpPayment(paymentId, { case_id: caseId, status, amount, source: 'webhook', rejected: match.reason });
+          return;
+        }
 
-    if (!waId) return;
+        // mismo camino que el chat: comprobante, aviso al paciente (plantilla si pasaron 24 h) y sesión reseteada
+        await confirmPaymentFlow({ waId, caseId, paymentId, label: current.service_label || undefined, source: 'webhook' });
+      }
 
-    // Confirmación real
-    await upsertCase(waId, {
-      payment_op_id: String(paymentId),
-      status: 'confirmed',
-      last_message: `Pago MP aprobado (webhook ${paymentId})`,
+      await recordMpPayment(paymentId, { case_id: caseId, status, amount, source: 'webhook' });
     });
-
-    await appendEvent(waId, caseId, 'mp', 'mp_payment_approved_webhook', { paymentId, amount });
   } catch (e) {
     log('error', 'mp_webhook_failed', { err: String(e?.message || e) });
   }
@@ -1157,131 +5093,826 @@ async function postHandler(req, res) {
   res.sendStatus(200);
 
   try {
-    const entry = payload?.entry?.[0];
-    const change = entry?.changes?.[0];
-    const value = change?.value;
+    // Meta puede juntar varias entries/changes y varios mensajes/estados en un mismo POST
+    const entries = Array.isArray(payload?.entry) ? payload.entry : [];
+    const messages = [];
+    const statuses = [];
+    let changes = 0;
+    for (const entry of entries) {
+      for (const change of Array.isArray(entry?.changes) ? entry.changes : []) {
+        changes++;
+        const value = change?.value || {};
+        if (Array.isArray(value.messages)) messages.push(...value.messages);
+        if (Array.isArray(value.statuses)) statuses.push(...value.statuses);
+      }
+    }
 
-    if (value?.statuses?.length) {
-      log('info', 'wa_status_update', { status: value.statuses[0]?.status });
-      return;
+    for (const st of statuses) {
+      log('info', 'wa_status_update', { id: st?.id, status: st?.status });
+      await recordStatusUpdate(st).catch((e) => log('error', 'wa_status_failed', { id: st?.id, err: String(e?.message || e) }));
     }
 
-    const msg = value?.messages?.[0];
-    if (!msg) return;
+    // dedupe de cada uno y agrupado por remitente, en el orden en que los mandó
+    const bySender = new Map();
+    let dupes = 0;
+    for (const msg of messages) {
+      if (!msg?.from) continue;
+      if (msg.id) {
+        if (seenMsg.has(msg.id)) {
+          dupes++;
+          log('info', 'wa_dedup_ignored', { msgId: msg.id });
+          continue;
+        }
+        seenMsg.set(msg.id, Date.now());
+      }
+      if (!bySender.has(msg.from)) bySender.set(msg.from, []);
+      bySender.get(msg.from).push(msg);
+    }
 
-    const msgId = msg.id;
-    const from = msg.from;
+    log('info', 'wa_webhook_batch', {
+      entries: entries.length,
+      changes,
+      messages: messages.length,
+      statuses: statuses.length,
+      duplicates: dupes,
+      senders: bySender.size,
+    });
 
-    if (msgId) {
-      if (seenMsg.has(msgId)) {
-        log('info', 'wa_dedup_ignored', { msgId });
-        return;
+    // cada mensaje entra a la cola de su waId (en orden); remitentes distintos corren en paralelo
+    const tasks = [];
+    for (const [from, list] of bySender) {
+      list.sort((a, b) => Number(a.timestamp || 0) - Number(b.timestamp || 0));
+      for (const msg of list) {
+        tasks.push(
+          withKeyLock(from, () => handleInbound(from, msg)).catch((e) =>
+            log('error', 'wa_handle_failed', { msgId: msg.id, err: String(e?.message || e) })
+          )
+        );
       }
-      seenMsg.set(msgId, Date.now());
-    }
-
-    const text = msg?.text?.body ? String(msg.text.body) : '';
-    log('info', 'wa_inbound', { from, msgId, text_preview: text.slice(0, 140) });
-
-    const hasMedia =
-      !!msg?.image ||
-      !!msg?.document ||
-      !!msg?.video ||
-      !!msg?.audio ||
-      !!msg?.sticker;
-
-    if (hasMedia) {
-      const sess = getSession(from);
-      const pack = await ensureCase(from);
-      const caseId = pack.caseObj.case_id;
-
-      await appendEvent(from, caseId, 'message_in_media', 'media_in', { hasMedia: true });
-      await touchCaseMN(from, 'Comprobante/archivo recibido');
-
-      // ✅ Antes confirmabas “a ojo”. Ahora: intentamos confirmar por external_reference.
-      if (sess.state === 'awaiting_payment') {
-        const sr = await mpSearchByExternalRef(caseId);
-        if (sr.ok) {
-          const cand = (sr.results || [])[0];
-          if (cand) {
-            const match = mpPaymentMatches(cand, caseId, DEPOSIT_VALUE);
-            if (match.ok) {
-              await confirmPaymentFlow({ waId: from, caseId, paymentId: cand.id, ctx: sess.ctx, label: sess.ctx.label, source: 'media_search' });
-              return;
-            }
+    }
+    await Promise.all(tasks);
+  } catch (e) {
+    log('error', 'wa_handle_failed', { err: String(e?.message || e) });
+  }
+}
+
+// Un mensaje ya deduplicado; corre dentro de la cola de su waId
+async function handleInbound(from, msg) {
+  const msgId = msg.id;
+  // botón/fila interactiva: el id es el atajo de texto ("1", "a"...) y entra igual que si lo hubiera escrito;
+  // en el botón de una plantilla, el payload (o el texto del botón)
+  const reply =
+    msg?.interactive?.button_reply ||
+    msg?.interactive?.list_reply ||
+    (msg?.button ? { id: msg.button.payload || msg.button.text, title: msg.button.text } : null);
+  const text = reply ? String(reply.id || '') : msg?.text?.body ? String(msg.text.body) : '';
+  // acá todavía no se sabe el estado (puede venir DNI/afiliado/token): en logs va siempre tapado a fondo
+  log('info', 'wa_inbound', {
+    from,
+    msgId,
+    text_preview: maskSensitiveText(text).slice(0, 140),
+    reply_title: reply ? String(reply.title || '').slice(0, 40) : undefined,
+  });
+
+  const ts = Number(msg.timestamp) * 1000;
+  await noteInbound(from, Number.isFinite(ts) && ts > 0 ? Math.min(ts, Date.now()) : Date.now());
+
+  const more = reply ? parseMoreId(reply.id) : null;
+  if (more) {
+    const sess = await getSession(from);
+    if (sess.state === more.state) {
+      await sendCatalogMenu(from, more.state, more.page);
+      return;
+    }
+  }
+
+  const hasMedia =
+    !!msg?.image ||
+    !!msg?.document ||
+    !!msg?.video ||
+    !!msg?.audio ||
+    !!msg?.sticker;
+
+  if (hasMedia) {
+    const sess = await getSession(from);
+    const pack = await ensureCase(from);
+    const caseId = pack.caseObj.case_id;
+
+    await appendEvent(from, caseId, 'message_in_media', 'media_in', { hasMedia: true });
+    await touchCaseMN(from, 'Comprobante/archivo recibido');
+
+    // ✅ Antes confirmabas “a ojo”. Ahora: intentamos confirmar por external_reference.
+    if (sess.state === 'awaiting_payment') {
+      const sr = await mpSearchByExternalRef(caseId);
+      if (sr.ok) {
+        const cand = (sr.results || [])[0];
+        if (cand) {
+          const match = mpPaymentMatches(cand, caseId, caseDepositAmount(pack.caseObj));
+          if (match.ok) {
+            await confirmPaymentFlow({ waId: from, caseId, paymentId: cand.id, ctx: sess.ctx, label: sess.ctx.label, source: 'media_search' });
+            return;
           }
         }
-
-        // si no pudimos confirmar, revisión humana
-        setSession(from, 'handoff', {});
-        await upsertCase(from, {
-          status: 'payment_review',
-          last_message: 'Comprobante recibido - revisión',
-        });
-        await appendEvent(from, caseId, 'handoff', 'payment_review', {});
-        await sendText(from, `Recibido ✅ Estoy validando el pago.\nSi en breve no se confirma automático, recepción lo revisa y te responde.`);
-        return;
       }
 
-      await sendText(from, `Recibido ✅\n\n${menuText()}`);
+      // si no pudimos confirmar, revisión humana
+      await setSession(from, 'handoff', {});
+      await upsertCase(from, {
+        status: 'payment_review',
+        last_message: 'Comprobante recibido - revisión',
+      });
+      await appendEvent(from, caseId, 'handoff', 'payment_review', {});
+      await sendText(from, `Recibido ✅ Estoy validando el pago.\nSi en breve no se confirma automático, recepción lo revisa y te responde.`);
       return;
     }
 
-    if (!text.trim()) {
-      await sendText(from, menuText());
-      return;
+    await sendMenu(from, 'Recibido ✅');
+    return;
+  }
+
+  if (!text.trim()) {
+    await sendMenu(from);
+    return;
+  }
+
+  await handleUserText(from, text);
+}
+
+// ================= Staff auth =================
+// Roles: recepcion ve y resuelve handoffs; admin además cambia config y exporta.
+const ROLE_PERMISSIONS = {
+  recepcion: ['view', 'handoffs:resolve', 'cases:cancel'],
+  admin: ['view', 'handoffs:resolve', 'cases:cancel', 'config:write', 'export'],
+};
+
+const STAFF_COOKIE = 'ra_staff';
+const STAFF_SESSION_MS = (() => {
+  const h = Number(String(ADMIN_SESSION_HOURS || '12').replace(/[^\d]/g, ''));
+  return (Number.isFinite(h) && h > 0 ? h : 12) * 60 * 60 * 1000;
+})();
+
+// Sin secret configurado las sesiones mueren en cada reinicio (aceptable, pero avisamos al arrancar)
+const STAFF_SECRET = ADMIN_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+const STAFF = (() => {
+  if (!STAFF_USERS) return new Map();
+  try {
+    const list = JSON.parse(STAFF_USERS);
+    const m = new Map();
+    for (const u of Array.isArray(list) ? list : []) {
+      const user = normalize(u?.user);
+      if (!user || !ROLE_PERMISSIONS[u?.role] || !String(u?.hash || '').startsWith('scrypt$')) {
+        log('error', 'staff_user_invalid', { user: user || null, role: u?.role || null });
+        continue;
+      }
+      m.set(user, { user, role: u.role, hash: u.hash });
+    }
+    return m;
+  } catch (e) {
+    log('error', 'staff_users_invalid_json', { err: String(e?.message || e) });
+    return new Map();
+  }
+})();
+
+function scryptAsync(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, 32, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(password, salt);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [kind, saltHex, keyHex] = String(stored || '').split('$');
+  if (kind !== 'scrypt' || !saltHex || !keyHex) return false;
+  const key = await scryptAsync(password, Buffer.from(saltHex, 'hex'));
+  return timingSafeEq(key.toString('hex'), keyHex);
+}
+
+// para que un usuario inexistente tarde lo mismo que una clave mala
+const DUMMY_HASH = `scrypt$${'00'.repeat(16)}$${'00'.repeat(32)}`;
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function signStaffToken(user, role) {
+  const payload = b64url(JSON.stringify({ u: user, r: role, exp: Date.now() + STAFF_SESSION_MS }));
+  const sig = b64url(crypto.createHmac('sha256', STAFF_SECRET).update(payload).digest());
+  return `${payload}.${sig}`;
+}
+
+function verifyStaffToken(token) {
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return null;
+  const ours = b64url(crypto.createHmac('sha256', STAFF_SECRET).update(payload).digest());
+  if (!timingSafeEq(ours, sig)) return null;
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data?.exp || Date.now() > data.exp) return null;
+    // el usuario tiene que seguir existiendo con ese rol
+    const u = STAFF.get(data.u);
+    if (!u || u.role !== data.r) return null;
+    return { user: u.user, role: u.role, exp: data.exp };
+  } catch {
+    return null;
+  }
+}
+
+function readCookie(req, name) {
+  const raw = String(req.header('cookie') || '');
+  for (const part of raw.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return '';
+}
+
+function staffFromReq(req) {
+  const auth = String(req.header('authorization') || '');
+  const bearer = auth.startsWith('Bearer ') ? auth.slice(7).trim() : '';
+  return verifyStaffToken(bearer || readCookie(req, STAFF_COOKIE));
+}
+
+function requireStaff(permission) {
+  return (req, res, next) => {
+    const staff = staffFromReq(req);
+    if (!staff) {
+      log('warn', 'admin_unauthorized', { ip: req.ip, path: req.path });
+      return res.status(401).json({ ok: false, error: 'unauthorized' });
+    }
+    if (permission && !ROLE_PERMISSIONS[staff.role].includes(permission)) {
+      log('warn', 'admin_forbidden', { ip: req.ip, path: req.path, user: staff.user, role: staff.role });
+      return res.status(403).json({ ok: false, error: 'forbidden' });
+    }
+    req.staff = staff;
+    return next();
+  };
+}
+
+// Páginas del panel: sin sesión -> /login
+function requireStaffPage(req, res, next) {
+  if (staffFromReq(req)) return next();
+  return res.redirect(302, '/login');
+}
+
+// Rate limit propio para logins fallidos (aparte del global)
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 8,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => req.ip,
+  handler: (req, res) => {
+    log('warn', 'staff_login_rate_limited', { ip: req.ip });
+    appendEvent('', '', 'auth', 'login_rate_limited', { ip: req.ip }).catch(() => {});
+    res.status(429).json({ ok: false, error: 'too_many_attempts' });
+  },
+});
+
+async function staffLoginHandler(req, res) {
+  const user = normalize(req.body?.user);
+  const password = String(req.body?.password || '');
+
+  try {
+    const u = STAFF.get(user);
+    const ok = (await verifyPassword(password, u ? u.hash : DUMMY_HASH)) && !!u;
+
+    await appendEvent('', '', 'auth', ok ? 'login_ok' : 'login_failed', {
+      user: user.slice(0, 64),
+      role: ok ? u.role : '',
+      ip: req.ip,
+    });
+
+    if (!ok) {
+      log('warn', 'staff_login_failed', { user: user.slice(0, 64), ip: req.ip });
+      return res.status(401).json({ ok: false, error: 'invalid_credentials' });
     }
 
-    await handleUserText(from, text);
+    const token = signStaffToken(u.user, u.role);
+    res.cookie(STAFF_COOKIE, token, {
+      httpOnly: true,
+      secure: req.secure,
+      sameSite: 'strict',
+      maxAge: STAFF_SESSION_MS,
+      path: '/',
+    });
+    log('info', 'staff_login_ok', { user: u.user, role: u.role });
+    // el token en el cuerpo solo para clientes que lo piden (scripts con Authorization: Bearer); el panel usa la
+    // cookie httpOnly, que el JS de la página no puede leer
+    const body = { ok: true, user: u.user, role: u.role };
+    if (req.body?.bearer === true) body.token = token;
+    return res.status(200).json(body);
   } catch (e) {
-    log('error', 'wa_handle_failed', { err: String(e?.message || e) });
+    log('error', 'staff_login_error', { err: String(e?.message || e) });
+    return res.status(500).json({ ok: false, error: 'login_failed' });
+  }
+}
+
+function staffLogoutHandler(_req, res) {
+  res.clearCookie(STAFF_COOKIE, { path: '/' });
+  return res.status(200).json({ ok: true });
+}
+
+function staffMeHandler(req, res) {
+  const { user, role, exp } = req.staff;
+  return res.status(200).json({ ok: true, user, role, permissions: ROLE_PERMISSIONS[role], expires_at: new Date(exp).toISOString() });
+}
+
+// ================= Admin API =================
+const HANDOFF_STATUSES = ['handoff', 'payment_review'];
+const APPOINTMENT_STATUSES = ['confirmed', 'cancelled'];
+
+const HANDOFF_REASONS = {
+  handoff: 'Pidió hablar con recepción',
+  payment_review: 'Comprobante de pago a revisar',
+};
+
+function parseDateParam(v, endOfDay) {
+  const s = String(v || '').trim();
+  if (!s) return null;
+  // YYYY-MM-DD -> día completo en la zona de la clínica (hasta el último ms antes de la medianoche siguiente)
+  const ymd = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (ymd) {
+    const day = validDay(Number(ymd[1]), Number(ymd[2]), Number(ymd[3]));
+    if (!day) return null;
+    const midnight = { hh: 0, mm: 0 };
+    return endOfDay ? clinicWallToDate(addDays(day, 1), midnight).getTime() - 1 : clinicWallToDate(day, midnight).getTime();
+  }
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? t : null;
+}
+
+function parseAdminFilters(query) {
+  const statuses = String(query.status || '')
+    .split(',')
+    .map((x) => normalize(x))
+    .filter(Boolean);
+  return {
+    statuses,
+    from: parseDateParam(query.from, false),
+    to: parseDateParam(query.to, true),
+    phone: String(query.phone || '').replace(/[^\d]/g, ''),
+  };
+}
+
+function applyAdminFilters(items, f) {
+  return items.filter((x) => {
+    if (f.statuses.length && !f.statuses.includes(normalize(x.status))) return false;
+    if (f.phone && !String(x.user_phone || '').includes(f.phone)) return false;
+    // turnos: por la fecha del turno si está cargada; si no (y en handoffs), por cuándo se creó/derivó
+    if (f.from !== null || f.to !== null) {
+      const t = Date.parse(x.start_at || x.created_at || '');
+      if (!Number.isFinite(t)) return false;
+      if (f.from !== null && t < f.from) return false;
+      if (f.to !== null && t > f.to) return false;
+    }
+    return true;
+  });
+}
+
+function coverageLabel(c) {
+  if (c.patient_type === 'obra_social') return c.os_name ? `Obra social · ${c.os_name}` : 'Obra social';
+  if (c.patient_type === 'particular') return 'Particular';
+  return '';
+}
+
+function paymentStatusOf(c) {
+  if (c.refund_status && c.refund_status !== 'not_paid') return c.refund_status;
+  if (c.payment_op_id) return 'approved';
+  if (c.status === 'awaiting_payment') return 'pending';
+  if (c.status === 'mp_failed') return 'failed';
+  if (c.status === 'payment_expired') return 'expired';
+  return caseDepositAmount(c) ? 'pending' : 'not_required';
+}
+
+function caseToAppointment(c) {
+  return {
+    created_at: c.created_at,
+    id: c.case_id,
+    user_phone: c.wa_from,
+    service: c.service_label || '',
+    location: CEPA.name,
+    coverage: coverageLabel(c),
+    deposit_amount: c.deposit_amount || '0',
+    start_at: c.appointment_at || '',
+    professional: c.professional || '',
+    status: c.status,
+    payment_status: paymentStatusOf(c),
+    refund_if_cancelled: c.status === 'confirmed' ? cancellationPolicy(c).refund : undefined,
+    reschedules: Number(c.reschedule_count) || 0,
+    updated_at: c.updated_at,
+  };
+}
+
+function caseToHandoff(c) {
+  return {
+    created_at: c.handoff_at || c.updated_at || c.created_at,
+    id: c.case_id,
+    user_phone: c.wa_from,
+    reason: [HANDOFF_REASONS[c.status] || c.status, c.last_message].filter(Boolean).join(' — '),
+    status: c.status,
+    service: c.service_label || '',
+    coverage: coverageLabel(c),
+    updated_at: c.updated_at,
+  };
+}
+
+function byNewest(a, b) {
+  return String(b.created_at || '').localeCompare(String(a.created_at || ''));
+}
+
+async function adminAppointmentsHandler(req, res) {
+  try {
+    const cases = await listCases();
+    const items = cases.filter((c) => APPOINTMENT_STATUSES.includes(c.status)).map(caseToAppointment);
+    const filtered = applyAdminFilters(items, parseAdminFilters(req.query)).sort(byNewest);
+    return res.status(200).json({ ok: true, items: filtered });
+  } catch (e) {
+    log('error', 'admin_appointments_failed', { err: String(e?.message || e) });
+    return res.status(500).json({ ok: false, error: 'appointments_failed' });
+  }
+}
+
+async function adminHandoffsHandler(req, res) {
+  try {
+    const items = (await listCases()).filter((c) => HANDOFF_STATUSES.includes(c.status)).map(caseToHandoff);
+    const filtered = applyAdminFilters(items, parseAdminFilters(req.query)).sort(byNewest);
+    return res.status(200).json({ ok: true, items: filtered });
+  } catch (e) {
+    log('error', 'admin_handoffs_failed', { err: String(e?.message || e) });
+    return res.status(500).json({ ok: false, error: 'handoffs_failed' });
+  }
+}
+
+// Lock vencido: 503 (reintentar); cualquier otra falla (storage): 500
+function lockOrServerError(res, e, error) {
+  if (e?.message === 'lock_timeout') return res.status(503).json({ ok: false, error: 'busy' });
+  return res.status(500).json({ ok: false, error });
+}
+
+async function adminResolveHandoffHandler(req, res) {
+  const caseId = String(req.params.caseId || '').trim();
+  const note = String(req.body?.note || '').slice(0, 200);
+
+  try {
+    const found = await findCaseById(caseId);
+    const waId = found?.wa_from || '';
+    if (!waId) return res.status(404).json({ ok: false, error: 'case_not_found' });
+
+    const out = await withKeyLock(waId, async () => {
+      const pack = await ensureCase(waId);
+      if (pack.caseObj.case_id !== caseId) return { code: 409, body: { ok: false, error: 'case_mismatch' } };
+      if (!HANDOFF_STATUSES.includes(pack.caseObj.status)) {
+        return { code: 409, body: { ok: false, error: 'not_a_handoff', status: pack.caseObj.status } };
+      }
+
+      await resetSession(waId);
+      await upsertCase(waId, { status: 'handoff_resolved', last_message: note || `Resuelto por ${req.staff.user}` });
+      await appendEvent(waId, caseId, 'handoff', 'handoff_resolved', { by: req.staff.user, note });
+      return { code: 200, body: { ok: true } };
+    });
+    return res.status(out.code).json(out.body);
+  } catch (e) {
+    log('error', 'admin_resolve_failed', { err: String(e?.message || e) });
+    return lockOrServerError(res, e, 'resolve_failed');
+  }
+}
+
+// Body opcional: { refund: true|false (pisa la política), note }
+async function adminCancelCaseHandler(req, res) {
+  const caseId = String(req.params.caseId || '').trim();
+  const note = String(req.body?.note || '').slice(0, 200);
+  const refund = typeof req.body?.refund === 'boolean' ? req.body.refund : undefined;
+
+  try {
+    const found = await findCaseById(caseId);
+    const waId = found?.wa_from || '';
+    if (!waId) return res.status(404).json({ ok: false, error: 'case_not_found' });
+
+    const out = await withKeyLock(waId, async () => {
+      const c = await findCaseById(caseId);
+      if (!c || c.status !== 'confirmed') return { code: 409, body: { ok: false, error: 'not_confirmed', status: c?.status } };
+      const r = await cancelCase(c, { by: req.staff.user, refund, note });
+      return { code: 200, body: { ok: true, ...r } };
+    });
+    return res.status(out.code).json(out.body);
+  } catch (e) {
+    log('error', 'admin_cancel_failed', { err: String(e?.message || e) });
+    return lockOrServerError(res, e, 'cancel_failed');
+  }
+}
+
+function csvCell(v) {
+  const s = String(v == null ? '' : v);
+  // comillas + neutralizamos fórmulas (=, +, -, @) al abrir en Excel/Sheets
+  const safe = /^[=+\-@]/.test(s) ? `'${s}` : s;
+  return `"${safe.replace(/"/g, '""')}"`;
+}
+
+async function adminExportHandler(req, res) {
+  const kind = req.query.kind === 'events' ? 'events' : 'cases';
+  try {
+    const rows = kind === 'events' ? await listEvents() : await listCases();
+    const cols = rows.length ? Object.keys(rows[0]) : [];
+    const csv = [cols.map(csvCell).join(','), ...rows.map((r) => cols.map((c) => csvCell(r[c])).join(','))].join('\n');
+
+    await appendEvent('', '', 'auth', 'export', { by: req.staff.user, kind, rows: rows.length });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${kind}-${nowISO().slice(0, 10)}.csv"`);
+    return res.status(200).send(csv);
+  } catch (e) {
+    log('error', 'admin_export_failed', { kind, err: String(e?.message || e) });
+    return res.status(500).json({ ok: false, error: 'export_failed' });
+  }
+}
+
+// Mensajes sin entregar: por defecto solo confirmaciones (?kind=all para todos).
+// 'sent' cuenta después de un rato sin delivered/read; lo que sigue en el outbox aparece como 'retrying'.
+const UNDELIVERED_GRACE_MS = 5 * 60 * 1000;
+
+async function adminUndeliveredHandler(req, res) {
+  try {
+    const all = req.query.kind === 'all';
+    const [out, box] = await Promise.all([listOutbound(), storage.listRecords(OUTBOX_COLLECTION)]);
+    const now = Date.now();
+
+    const items = [
+      ...out
+        .filter((o) => all || o.kind === 'confirmation')
+        .filter((o) => o.status === 'failed' || (o.status === 'sent' && now - Date.parse(o.sent_at) > UNDELIVERED_GRACE_MS))
+        .map((o) => ({
+          case_id: o.case_id,
+          user_phone: o.wa_from,
+          kind: o.kind,
+          msg_id: o.msg_id,
+          status: o.status,
+          sent_at: o.sent_at,
+          updated_at: o.updated_at,
+          error: o.error || '',
+          attempts: '',
+        })),
+      ...box
+        .filter((o) => all || o.kind === 'confirmation')
+        .map((o) => ({
+          case_id: o.case_id,
+          user_phone: o.wa_from,
+          kind: o.kind,
+          msg_id: '',
+          status: 'retrying',
+          sent_at: o.created_at,
+          updated_at: new Date(Number(o.next_at)).toISOString(),
+          error: o.last_error || '',
+          attempts: o.attempts,
+        })),
+    ].sort((a, b) => String(b.sent_at).localeCompare(String(a.sent_at)));
+
+    return res.status(200).json({ ok: true, items });
+  } catch (e) {
+    log('error', 'admin_undelivered_failed', { err: String(e?.message || e) });
+    return res.status(500).json({ ok: false, error: 'undelivered_failed' });
+  }
+}
+
+// URLs de suscripción (con su token) para Google Calendar / Outlook / iPhone
+async function adminCalendarFeedsHandler(_req, res) {
+  if (!ICAL_FEED_SECRET) return res.status(404).json({ ok: false, error: 'ical_not_configured' });
+  try {
+    return res.status(200).json({ ok: true, items: await listCalendarFeeds() });
+  } catch (e) {
+    log('error', 'admin_calendar_feeds_failed', { err: String(e?.message || e) });
+    return res.status(500).json({ ok: false, error: 'calendar_feeds_failed' });
+  }
+}
+
+function adminMetricsHandler(_req, res) {
+  return res.status(200).json({
+    ok: true,
+    uptime_s: Math.floor((Date.now() - STARTED_AT) / 1000),
+    storage: storage.kind,
+    ...storage.metrics(),
+    locks: lockMetrics(),
+  });
+}
+
+function adminGetConfigHandler(_req, res) {
+  return res.status(200).json({
+    ok: true,
+    config: CLINIC_CONFIG,
+    effective: { booking_url: CEPA.mrturno, deposit_required: DEPOSIT_ON, deposit_amount: DEPOSIT_VALUE },
+    overridden_by_env: envOverriddenKeys(),
+  });
+}
+
+// Body: config completa o solo las claves de primer nivel a reemplazar
+async function adminPutConfigHandler(req, res) {
+  const body = req.body;
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return res.status(400).json({ ok: false, error: 'invalid_config', details: ['se esperaba un objeto'] });
+  }
+
+  const next = { ...CLINIC_CONFIG, ...body };
+  const errors = validateClinicConfig(next);
+  if (errors.length) return res.status(400).json({ ok: false, error: 'invalid_config', details: errors });
+
+  try {
+    writeClinicConfig(CLINIC_CONFIG_FILE, next);
+  } catch (e) {
+    log('error', 'clinic_config_write_failed', { err: String(e?.message || e) });
+    return res.status(500).json({ ok: false, error: 'config_write_failed' });
+  }
+
+  applyClinicConfig(next);
+  try {
+    await appendEvent('', '', 'auth', 'config_changed', { by: req.staff.user, keys: Object.keys(body) });
+  } catch (e) {
+    // la config ya quedó guardada y aplicada: solo falta el registro en events
+    log('error', 'admin_config_event_failed', { err: String(e?.message || e) });
+    return res.status(500).json({ ok: false, error: 'config_event_failed', saved: true });
+  }
+  log('info', 'admin_config_changed', { by: req.staff.user, keys: Object.keys(body) });
+  return res.status(200).json({ ok: true, config: CLINIC_CONFIG, overridden_by_env: envOverriddenKeys() });
+}
+
+// ================= Dev simulator =================
+function cleanDevPhone(v) {
+  const digits = String(v || '').replace(/[^\d]/g, '');
+  return digits.length >= 8 && digits.length <= 15 ? digits : '';
+}
+
+async function devSimulateHandler(req, res) {
+  const waId = cleanDevPhone(req.body?.phone);
+  const text = String(req.body?.text || '').slice(0, 1000);
+  if (!waId) return res.status(400).json({ ok: false, error: 'invalid_phone' });
+  if (!text.trim()) return res.status(400).json({ ok: false, error: 'missing_text' });
+
+  try {
+    const replies = await withDevCapture(waId, () => withKeyLock(waId, () => handleUserText(waId, text)));
+    return res.status(200).json({ ok: true, replies });
+  } catch (e) {
+    log('error', 'dev_simulate_failed', { err: String(e?.message || e) });
+    return res.status(500).json({ ok: false, error: 'simulate_failed' });
+  }
+}
+
+async function devPayHandler(req, res) {
+  const caseId = String(req.body?.appointmentId || req.body?.caseId || '').trim();
+  if (!caseId) return res.status(400).json({ ok: false, error: 'missing_case_id' });
+
+  const paymentId = String(req.body?.paymentRef || '').trim() || makeId('DEVPAY');
+
+  try {
+    let waId = cleanDevPhone(req.body?.phone);
+    if (!waId) {
+      const found = await findCaseById(caseId);
+      waId = found?.wa_from || '';
+    }
+    if (!waId) return res.status(404).json({ ok: false, error: 'case_not_found' });
+
+    let conflict = null;
+    const replies = await withDevCapture(waId, () =>
+      withKeyLock(waId, async () => {
+        const pack = await ensureCase(waId);
+        if (pack.caseObj.case_id !== caseId) {
+          conflict = { error: 'case_mismatch' };
+          return;
+        }
+        const sess = await getSession(waId);
+        if (sess.state !== 'awaiting_payment') {
+          conflict = { error: 'not_awaiting_payment', state: sess.state };
+          return;
+        }
+        await confirmPaymentFlow({ waId, caseId, paymentId, ctx: sess.ctx, label: sess.ctx.label, source: 'dev' });
+      })
+    );
+    if (conflict) return res.status(409).json({ ok: false, ...conflict });
+    return res.status(200).json({ ok: true, replies });
+  } catch (e) {
+    log('error', 'dev_pay_failed', { err: String(e?.message || e) });
+    return res.status(500).json({ ok: false, error: 'pay_failed' });
   }
 }
 
 // ================= Routes =================
+app.use(['/admin', '/admin.html', '/admin.js'], requireStaffPage);
+app.use(express.static(path.join(__dirname, 'public'), { extensions: ['html'] }));
+
 app.get('/health', (_req, res) =>
-  res.status(200).json({ ok: true, uptime_s: Math.floor((Date.now() - STARTED_AT) / 1000) })
+  res.status(200).json({ ok: true, uptime_s: Math.floor((Date.now() - STARTED_AT) / 1000), storage: storage.kind })
 );
 
 app.get('/privacidad', (_req, res) => {
   res.status(200).send(
     `<html><head><meta charset="utf-8"><title>Privacidad</title></head>
      <body style="font-family:system-ui;padding:24px;max-width:820px;margin:auto">
-     <h1>Política de Privacidad — Recepción Automática (CEPA)</h1>
+     <h1>Política de Privacidad — Recepción Automática (${CEPA.short})</h1>
      <p>Este sistema responde mensajes para orientar turnos e información general. No es un servicio de emergencias.</p>
      <p>Contacto: ${CEPA.email}</p>
      </body></html>`
   );
 });
 
+app.get('/calendar/:feed.ics', calendarFeedHandler);
+
 app.get('/api/whatsapp', verifyHandler);
 app.get('/webhook', verifyHandler);
 
 app.post('/api/whatsapp', express.raw({ type: '*/*', limit: '2mb' }), postHandler);
 app.post('/webhook', express.raw({ type: '*/*', limit: '2mb' }), postHandler);
 
+app.post('/api/admin/login', loginLimiter, express.json({ limit: '8kb' }), staffLoginHandler);
+app.post('/api/admin/logout', staffLogoutHandler);
+app.get('/api/admin/me', requireStaff(), staffMeHandler);
+
+app.get('/api/admin/appointments', requireStaff('view'), adminAppointmentsHandler);
+app.get('/api/admin/handoffs', requireStaff('view'), adminHandoffsHandler);
+app.post('/api/admin/handoffs/:caseId/resolve', requireStaff('handoffs:resolve'), express.json({ limit: '8kb' }), adminResolveHandoffHandler);
+app.post('/api/admin/cases/:caseId/cancel', requireStaff('cases:cancel'), express.json({ limit: '8kb' }), adminCancelCaseHandler);
+app.get('/api/admin/export.csv', requireStaff('export'), adminExportHandler);
+app.get('/api/admin/metrics', requireStaff('view'), adminMetricsHandler);
+app.get('/api/admin/undelivered', requireStaff('view'), adminUndeliveredHandler);
+app.get('/api/admin/calendar-feeds', requireStaff('view'), adminCalendarFeedsHandler);
+app.get('/api/admin/config', requireStaff('config:write'), adminGetConfigHandler);
+app.put('/api/admin/config', requireStaff('config:write'), express.json({ limit: '16kb' }), adminPutConfigHandler);
+
+if (DEV_ON) {
+  app.post('/api/dev/simulate', express.json({ limit: '32kb' }), devSimulateHandler);
+  app.post('/api/dev/pay', express.json({ limit: '32kb' }), devPayHandler);
+}
+
 // ================= Start =================
-app.listen(Number(PORT), '0.0.0.0', () => {
-  const hasGsheet =
-    !!SPREADSHEET_ID &&
-    (!!GSHEET_SA_JSON_BASE64 || (!!GSHEET_CLIENT_EMAIL && !!GSHEET_PRIVATE_KEY));
-
-  log('info', 'gsheet_ready', {
-    has_gsheet: hasGsheet,
-    has_sheet_id: !!SPREADSHEET_ID,
-    sheet_id_preview: SPREADSHEET_ID ? String(SPREADSHEET_ID).slice(0, 8) + '...' : null,
+// node server.cjs --hash-password <clave>  -> hash para STAFF_USERS
+// require('./server.cjs') (tests) no escucha: usa lo exportado al final
+if (process.argv[2] === '--hash-password') {
+  hashPassword(process.argv[3] || '').then((h) => {
+    console.log(h);
+    process.exit(0);
   });
+} else if (require.main === module) {
+  app.listen(Number(PORT), '0.0.0.0', () => {
+    const hasGsheet = hasSheetsEnv();
+
+    log('info', 'gsheet_ready', {
+      has_gsheet: hasGsheet,
+      has_sheet_id: !!SPREADSHEET_ID,
+      sheet_id_preview: SPREADSHEET_ID ? String(SPREADSHEET_ID).slice(0, 8) + '...' : null,
+    });
+
+    log('info', 'server_started', {
+      port: Number(PORT),
+      has_WA_ACCESS_TOKEN: !!WA_ACCESS_TOKEN,
+      has_WA_VERIFY_TOKEN: !!WA_VERIFY_TOKEN,
+      has_WA_PHONE_NUMBER_ID: !!WA_PHONE_NUMBER_ID,
+      has_mp: !!MP_ACCESS_TOKEN,
+      has_mp_notification_url: !!MP_NOTIFICATION_URL,
+      has_mp_webhook_secret: !!MP_WEBHOOK_SECRET,
+      has_ical_feed_secret: !!ICAL_FEED_SECRET,
+      deposit_required: DEPOSIT_ON,
+      deposit_amount: DEPOSIT_VALUE,
+      payment_window_minutes: Math.round(PAYMENT_WINDOW_MS / 60000),
+      has_gsheet: hasGsheet,
+      storage: storage.kind,
+      clinic: CEPA.short,
+      clinic_config: path.basename(CLINIC_CONFIG_FILE),
+      staff_users: STAFF.size,
+      has_admin_session_secret: !!ADMIN_SESSION_SECRET,
+      dev_simulator: DEV_ON,
+    });
+
+    if (normalizeEnvFlag(DEV_SIMULATOR) && !DEV_ON) log('warn', 'dev_simulator_blocked_in_production');
 
-  log('info', 'server_started', {
-    port: Number(PORT),
-    has_WA_ACCESS_TOKEN: !!WA_ACCESS_TOKEN,
-    has_WA_VERIFY_TOKEN: !!WA_VERIFY_TOKEN,
-    has_WA_PHONE_NUMBER_ID: !!WA_PHONE_NUMBER_ID,
-    has_mp: !!MP_ACCESS_TOKEN,
-    has_mp_notification_url: !!MP_NOTIFICATION_URL,
-    deposit_required: DEPOSIT_ON,
-    deposit_amount: DEPOSIT_VALUE,
-    payment_window_minutes: Math.round(PAYMENT_WINDOW_MS / 60000),
-    has_gsheet: hasGsheet,
+    storage.warm();
   });
-});
+}
+
+module.exports = {
+  app,
+  storage,
+  withKeyLock,
+  withDevCapture,
+  getSession,
+  findCaseById,
+  upsertCaseById,
+  computeDeposit,
+  depositAt,
+  parseAppointmentText,
+  checkCoverage,
+  maskSensitiveText,
+  coverageIntent,
+  exactCoverage,
+  parseAffiliateLine,
+  validateAffiliateData,
+  cancellationPolicy,
+  slotsOverlap,
+  availableSlots,
+  claimSlot,
+  expireOverduePayments,
+  confirmPaymentFlow,
+  pruneSlots,
+  parseDateParam,
+};
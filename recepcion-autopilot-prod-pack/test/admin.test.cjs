@@ -0,0 +1,97 @@
+// Panel de recepción (/api/admin/*): login y errores de storage, con storage local en un directorio temporal.
+// Una falla de storage tiene que volver como 500 JSON, no como rechazo sin manejar que tira el proceso.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'recepcion-admin-'));
+const salt = crypto.randomBytes(16);
+const hash = `scrypt$${salt.toString('hex')}$${crypto.scryptSync('clave', salt, 32).toString('hex')}`;
+
+Object.assign(process.env, {
+  DATA_DIR: path.join(tmp, 'data'),
+  STORAGE_BACKEND: 'local',
+  NODE_ENV: 'test',
+  STAFF_USERS: JSON.stringify([{ user: 'ana', role: 'admin', hash }]),
+});
+delete process.env.DEV_SIMULATOR;
+
+console.log = () => {};
+const s = require('../server.cjs');
+
+let server;
+let base;
+test.before(async () => {
+  server = s.app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function login(body = {}) {
+  return fetch(`${base}/api/admin/login`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ user: 'ana', password: 'clave', ...body }),
+  });
+}
+
+async function staffCookie() {
+  const r = await login();
+  assert.equal(r.status, 200);
+  return r.headers.get('set-cookie').split(';')[0];
+}
+
+// storage[method] rechaza mientras corre fn
+async function withBrokenStorage(methods, fn) {
+  const saved = methods.map((m) => [m, s.storage[m]]);
+  for (const m of methods) s.storage[m] = async () => Promise.reject(new Error('sheets_down'));
+  try {
+    return await fn();
+  } finally {
+    for (const [m, f] of saved) s.storage[m] = f;
+  }
+}
+
+test('storage caído: login, export, resolver y cancelar responden 500', { timeout: 10000 }, async () => {
+  const cookie = await staffCookie();
+  const headers = { cookie, 'content-type': 'application/json' };
+
+  await withBrokenStorage(['appendEvent', 'findCaseById', 'listCases', 'listEvents'], async () => {
+    const r = await login();
+    assert.equal(r.status, 500);
+    assert.equal((await r.json()).error, 'login_failed');
+
+    assert.equal((await fetch(`${base}/api/admin/export.csv`, { headers })).status, 500);
+    assert.equal((await fetch(`${base}/api/admin/export.csv?kind=events`, { headers })).status, 500);
+
+    const resolve = await fetch(`${base}/api/admin/handoffs/CASE-X/resolve`, { method: 'POST', headers, body: '{}' });
+    assert.equal(resolve.status, 500);
+    assert.equal((await resolve.json()).error, 'resolve_failed');
+
+    const cancel = await fetch(`${base}/api/admin/cases/CASE-X/cancel`, { method: 'POST', headers, body: '{}' });
+    assert.equal(cancel.status, 500);
+    assert.equal((await cancel.json()).error, 'cancel_failed');
+  });
+
+  // el proceso sigue vivo
+  assert.equal((await fetch(`${base}/health`)).status, 200);
+});
+
+test('login: el token solo va en la cookie httpOnly, salvo que se pida bearer', async () => {
+  const r = await login();
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get('set-cookie'), /HttpOnly/i);
+  assert.equal((await r.json()).token, undefined);
+
+  const b = await (await login({ bearer: true })).json();
+  assert.ok(b.token);
+  const me = await fetch(`${base}/api/admin/me`, { headers: { authorization: `Bearer ${b.token}` } });
+  assert.equal(me.status, 200);
+});
@@ -0,0 +1,125 @@
+// Funciones puras de server.cjs: seña, fecha del turno, coberturas, afiliado/DNI (y su máscara), reintegro y agenda.
+// Corre con la config de la clínica más reglas de seña propias (ver config abajo); nada de red ni Sheets.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'recepcion-helpers-'));
+const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'cepa.config.json'), 'utf8'));
+config.deposit.rules = [
+  { name: 'lab', when: { services: ['Laboratorio'] }, none: true },
+  { name: 'os', when: { patient_type: 'obra_social', coverages: ['OSDE'] }, amount_ars: 5000 },
+  { name: 'finde', when: { days: ['sab'], from: '08:00', to: '13:00' }, amount_ars: 12000 },
+];
+fs.writeFileSync(path.join(tmp, 'clinic.json'), JSON.stringify(config));
+
+Object.assign(process.env, { CLINIC_CONFIG_PATH: path.join(tmp, 'clinic.json'), DATA_DIR: path.join(tmp, 'data'), STORAGE_BACKEND: 'local' });
+delete process.env.DEV_SIMULATOR;
+
+const s = require('../server.cjs');
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// lunes 19/10/2026 12:00 en Mendoza (UTC-3)
+const NOW = new Date('2026-10-19T15:00:00Z');
+const SAT_10 = new Date('2026-10-24T13:00:00Z');
+const SAT_15 = new Date('2026-10-24T18:00:00Z');
+
+test('computeDeposit: primera regla que coincide, después servicio y default', () => {
+  assert.deepEqual(s.computeDeposit({ label: 'Laboratorio', patientType: 'particular', at: SAT_10 }), { amount: 0, source: 'rule:lab' });
+  assert.equal(s.computeDeposit({ label: 'Pediatría', patientType: 'obra_social', osName: 'OSDE 210', at: SAT_10 }).amount, 5000);
+  assert.equal(s.computeDeposit({ label: 'Pediatría', patientType: 'particular', at: SAT_10 }).source, 'rule:finde');
+  assert.deepEqual(s.computeDeposit({ label: 'Pediatría', patientType: 'particular', at: SAT_15 }), { amount: 10000, source: 'default' });
+});
+
+test('depositAt: la hora del turno; sin fecha válida, ahora', () => {
+  assert.equal(s.depositAt('2026-10-24T13:00:00.000Z').toISOString(), SAT_10.toISOString());
+  for (const v of ['', undefined, 'mañana']) assert.ok(Math.abs(s.depositAt(v).getTime() - Date.now()) < 5000);
+});
+
+test('parseAppointmentText: formatos de MrTurno', () => {
+  assert.deepEqual(s.parseAppointmentText('martes 20 a las 9:30', NOW), { date: { y: 2026, m: 10, d: 20 }, time: { hh: 9, mm: 30 } });
+  assert.deepEqual(s.parseAppointmentText('14/11 9.30hs', NOW), { date: { y: 2026, m: 11, d: 14 }, time: { hh: 9, mm: 30 } });
+  assert.deepEqual(s.parseAppointmentText('mañana 18', NOW), { date: { y: 2026, m: 10, d: 20 }, time: { hh: 18, mm: 0 } });
+  // "martes 14": el 14 ya pasó, así que es la hora del próximo martes
+  assert.deepEqual(s.parseAppointmentText('martes 14', NOW), { date: { y: 2026, m: 10, d: 20 }, time: { hh: 14, mm: 0 } });
+});
+
+test('parseAppointmentText: fechas inválidas o que no cierran', () => {
+  assert.equal(s.parseAppointmentText('31/02', NOW).error, 'invalid_date');
+  assert.equal(s.parseAppointmentText('lunes 21/10 10:00', NOW).error, 'weekday_mismatch');
+  assert.deepEqual(s.parseAppointmentText('banana', NOW), { date: null, time: null });
+});
+
+test('checkCoverage: aceptada, plan fuera de la lista y desconocida', () => {
+  const osde = s.checkCoverage('osde 210');
+  assert.equal(osde.status, 'accepted');
+  assert.equal(osde.item.label, 'OSDE');
+  assert.equal(osde.plan, '210');
+  assert.equal(s.checkCoverage('osde 999').reason, 'plan');
+  assert.equal(s.checkCoverage('swiss').item.label, 'Swiss Medical');
+  assert.equal(s.checkCoverage('banana').status, 'unknown');
+});
+
+test('coberturas desde el menú: solo con intención o nombre exacto', () => {
+  assert.equal(s.coverageIntent('¿trabajan con Medicus?'), true);
+  assert.equal(s.coverageIntent('tengo obra social'), true);
+  assert.equal(s.coverageIntent('quiero turno con un medico'), false);
+  assert.equal(s.exactCoverage('quiero turno con un medico'), null);
+  assert.equal(s.exactCoverage('OSDE 310').label, 'OSDE');
+  assert.equal(s.exactCoverage('smg').label, 'Swiss Medical');
+});
+
+test('parseAffiliateLine / validateAffiliateData: afiliado, DNI y token', () => {
+  assert.deepEqual(s.parseAffiliateLine('Afiliado 61234567801 - DNI 30.111.222 - Token 123456'), {
+    affiliate: '61234567801',
+    dni: '30111222',
+    token: '123456',
+  });
+  assert.equal(s.parseAffiliateLine('30.111.222').dni, '30111222');
+
+  const bad = s.validateAffiliateData({}, { affiliate: '', dni: '123', token: '' }, null);
+  assert.deepEqual(bad.errors, ['el DNI tiene 7 u 8 números']);
+  assert.deepEqual(bad.missing, ['affiliate', 'dni']);
+
+  const fmt = { affiliate: { digits_only: true, min_length: 8 }, token: { required: true } };
+  const v = s.validateAffiliateData({ dni: '30111222' }, { affiliate: '12AB', dni: '', token: '' }, fmt);
+  assert.deepEqual(v.errors, ['el N° de afiliado va solo con números']);
+  assert.deepEqual(v.missing, ['affiliate', 'token']);
+});
+
+test('maskSensitiveText: DNI suelto, con puntos y afiliado dentro del texto', () => {
+  assert.equal(s.maskSensitiveText('30111222'), '********');
+  assert.equal(s.maskSensitiveText('mi dni es 30.111.222'), 'mi dni es **.***.***');
+  assert.equal(s.maskSensitiveText('OSDE 61234567801 plan 210'), 'OSDE *********** plan 210');
+  assert.equal(s.maskSensitiveText('mañana 10:30'), 'mañana 10:30');
+});
+
+test('cancellationPolicy: reintegro con más de 24 h de anticipación', () => {
+  const c = { payment_op_id: 'P1', deposit_amount: '10000', appointment_at: '2026-10-21T13:00:00.000Z' };
+  const now = Date.parse('2026-10-19T15:00:00Z');
+  assert.equal(s.cancellationPolicy(c, now).refund, true);
+  assert.equal(s.cancellationPolicy(c, Date.parse('2026-10-20T14:00:00Z')).refund, false);
+  assert.equal(s.cancellationPolicy({ ...c, appointment_at: '' }, now).refund, true);
+  assert.deepEqual(s.cancellationPolicy({ ...c, payment_op_id: '' }, now).paid, false);
+});
+
+test('parseDateParam: from/to del panel son días de la clínica (UTC-3)', () => {
+  assert.equal(s.parseDateParam('2026-10-19', false), Date.parse('2026-10-19T03:00:00.000Z'));
+  assert.equal(s.parseDateParam('2026-10-19', true), Date.parse('2026-10-20T02:59:59.999Z'));
+  // un turno a las 22:00 del 19 (01:00 UTC del 20) entra en el día 19
+  const t = Date.parse('2026-10-20T01:00:00.000Z');
+  assert.ok(t >= s.parseDateParam('2026-10-19', false) && t <= s.parseDateParam('2026-10-19', true));
+  assert.equal(s.parseDateParam('2026-02-31', false), null);
+  assert.equal(s.parseDateParam('2026-10-19T10:00:00Z', false), Date.parse('2026-10-19T10:00:00Z'));
+  assert.equal(s.parseDateParam('', false), null);
+});
+
+test('slotsOverlap: se tocan sin superponerse', () => {
+  const a = { start_at: '2026-10-20T11:00:00.000Z', end_at: '2026-10-20T11:30:00.000Z' };
+  assert.equal(s.slotsOverlap(a, { start_at: '2026-10-20T11:20:00.000Z', end_at: '2026-10-20T11:40:00.000Z' }), true);
+  assert.equal(s.slotsOverlap(a, { start_at: '2026-10-20T11:30:00.000Z', end_at: '2026-10-20T12:00:00.000Z' }), false);
+  assert.equal(s.slotsOverlap(a, { start_at: '2026-10-20T10:00:00.000Z', end_at: '2026-10-20T12:00:00.000Z' }), true);
+});
@@ -0,0 +1,315 @@
+// Flujos completos por /api/dev/simulate (mismo camino que WhatsApp), con storage local en un directorio temporal.
+// Los pagos tardíos entran por confirmPaymentFlow, como desde el webhook de Mercado Pago.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'recepcion-sim-'));
+const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'cepa.config.json'), 'utf8'));
+const allDay = ['00:00-23:30'];
+config.scheduling = {
+  slot_minutes: 30,
+  days_ahead: 3,
+  min_notice_minutes: 0,
+  agendas: [
+    {
+      service: 'Ecografía / Doppler',
+      professional: 'Dra. Gómez',
+      hours: { lun: allDay, mar: allDay, mie: allDay, jue: allDay, vie: allDay, sab: allDay, dom: allDay },
+    },
+  ],
+};
+fs.writeFileSync(path.join(tmp, 'clinic.json'), JSON.stringify(config));
+
+Object.assign(process.env, {
+  CLINIC_CONFIG_PATH: path.join(tmp, 'clinic.json'),
+  DATA_DIR: path.join(tmp, 'data'),
+  STORAGE_BACKEND: 'local',
+  DEV_SIMULATOR: 'true',
+  NODE_ENV: 'test',
+});
+for (const k of ['WA_ACCESS_TOKEN', 'WA_PHONE_NUMBER_ID', 'MP_ACCESS_TOKEN']) delete process.env[k];
+
+// los logs JSON del server (uno por mensaje) no aportan a la salida del runner
+console.log = () => {};
+const s = require('../server.cjs');
+
+let server;
+let base;
+test.before(async () => {
+  server = s.app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+async function say(phone, text) {
+  const r = await fetch(`${base}/api/dev/simulate`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ phone, text }),
+  });
+  assert.equal(r.status, 200);
+  return (await r.json()).replies.join('\n');
+}
+
+async function chat(phone, ...texts) {
+  let last = '';
+  for (const t of texts) last = await say(phone, t);
+  return last;
+}
+
+// pago aprobado que llega tarde (webhook / barrido de vencimientos)
+async function latePayment(phone, paymentId) {
+  const c = await s.storage.findCaseByWa(phone);
+  return (
+    await s.withDevCapture(phone, () =>
+      s.withKeyLock(phone, () => s.confirmPaymentFlow({ waId: phone, caseId: c.case_id, paymentId, label: c.service_label, source: 'webhook' }))
+    )
+  ).join('\n');
+}
+
+async function expire(phone) {
+  const c = await s.storage.findCaseByWa(phone);
+  await s.upsertCaseById(c.case_id, { payment_expires_at: new Date(Date.now() - 60 * 1000).toISOString() });
+  await s.expireOverduePayments();
+  return s.findCaseById(c.case_id);
+}
+
+// MrTurno (Mamografía no tiene agenda propia) hasta el link de la seña
+async function bookMrTurno(phone, when = 'mañana 10:00') {
+  const reply = await chat(phone, 'hola', '1', 'B', 'listo', when, 'si', '1');
+  assert.match(reply, /Link de pago/);
+}
+
+test('seña vencida y pago tardío con el turno en pie: se confirma', async () => {
+  const phone = '5492610000101';
+  await bookMrTurno(phone);
+
+  const expired = await expire(phone);
+  assert.equal(expired.status, 'payment_expired');
+
+  const reply = await latePayment(phone, 'LATE-101');
+  assert.match(reply, /Turno confirmado/);
+  const c = await s.findCaseById(expired.case_id);
+  assert.equal(c.status, 'confirmed');
+  assert.equal(c.payment_op_id, 'LATE-101');
+});
+
+test('pago tardío sobre un turno que ya pasó: handoff con el pago registrado, sin confirmación', async () => {
+  const phone = '5492610000102';
+  await bookMrTurno(phone);
+  const expired = await expire(phone);
+  await s.upsertCaseById(expired.case_id, { appointment_at: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+
+  const reply = await latePayment(phone, 'LATE-102');
+  assert.doesNotMatch(reply, /Turno confirmado/);
+  assert.match(reply, /Recibimos tu pago/);
+  const c = await s.findCaseById(expired.case_id);
+  assert.equal(c.status, 'handoff');
+  assert.equal(c.payment_op_id, 'LATE-102');
+  assert.ok(c.handoff_at);
+
+  // la misma notificación otra vez no manda nada
+  assert.equal(await latePayment(phone, 'LATE-102'), '');
+});
+
+// número de la fila con ese horario en la lista ofrecida ("3) lun 19/10 10:30 — Dra. Gómez")
+function rowFor(list, when) {
+  const line = list.split('\n').find((l) => l.includes(when));
+  assert.ok(line, `no se ofreció ${when}`);
+  return line.match(/^(\d+)\)/)[1];
+}
+
+test('dos pacientes eligen el mismo horario a la vez: uno lo retiene, el otro recibe otros', async () => {
+  const [a, b] = ['5492610000201', '5492610000202'];
+  const listA = await chat(a, 'hola', '1', 'A');
+  await chat(b, 'hola', '1', 'A');
+  const when = listA.match(/^1\) (.+?) —/m)[1];
+
+  const [ra, rb] = await Promise.all([say(a, '1'), say(b, rowFor(listA, when))]);
+  const won = [ra, rb].filter((r) => r.startsWith('Reservado:'));
+  assert.equal(won.length, 1);
+  assert.match([ra, rb].find((r) => !r.startsWith('Reservado:')), /se acaba de ocupar/);
+
+  const slots = (await s.storage.listRecords('slots')).filter((r) => r.status === 'held');
+  const cases = await Promise.all([a, b].map((p) => s.storage.findCaseByWa(p)));
+  const held = slots.filter((r) => cases.some((c) => c.case_id === r.case_id));
+  assert.equal(held.length, 1);
+});
+
+test('reserva pisada por otra instancia entre la escritura y la relectura: conflict y se suelta', async () => {
+  const { slots } = await s.availableSlots('Ecografía / Doppler');
+  const slot = slots[0];
+  const put = s.storage.putRecord;
+  s.storage.putRecord = async (col, id, obj) => {
+    const r = await put.call(s.storage, col, id, obj);
+    if (col === 'slots' && obj.case_id === 'CASE-A') {
+      s.storage.putRecord = put;
+      const rival = { ...obj, case_id: 'CASE-B', claimed_at: new Date(Date.now() - 1000).toISOString() };
+      await put.call(s.storage, col, `${slot.resource}|${slot.start_at}|CASE-B`, rival);
+    }
+    return r;
+  };
+
+  try {
+    const r = await s.claimSlot(slot, { caseId: 'CASE-A', waId: '5492610000299', status: 'held', until: Date.now() + 60 * 1000 });
+    assert.equal(r.ok, false);
+    assert.equal(r.conflict, true);
+    assert.equal((await s.storage.getRecord('slots', r.id)).status, 'released');
+  } finally {
+    s.storage.putRecord = put;
+  }
+});
+
+test('horario perdido mientras la seña estaba vencida: el pago tardío va a recepción, sin .ics', async () => {
+  const [a, b] = ['5492610000301', '5492610000302'];
+  const listA = await chat(a, 'hola', '1', 'A');
+  const when = listA.match(/^1\) (.+?) —/m)[1];
+  assert.match(await say(a, '1'), /^Reservado:/);
+  assert.match(await say(a, '1'), /Link de pago/);
+  assert.equal((await expire(a)).status, 'payment_expired');
+
+  // el horario quedó libre y lo toma otro paciente
+  const listB = await chat(b, 'hola', '1', 'A');
+  assert.match(await say(b, rowFor(listB, when)), /^Reservado:/);
+
+  const reply = await latePayment(a, 'LATE-301');
+  assert.doesNotMatch(reply, /Turno confirmado|📎/);
+  assert.match(reply, /se ocupó/);
+  const ca = await s.storage.findCaseByWa(a);
+  assert.equal(ca.status, 'handoff');
+  assert.equal(ca.payment_op_id, 'LATE-301');
+
+  const cb = await s.storage.findCaseByWa(b);
+  const active = (await s.storage.listRecords('slots')).filter((r) => r.status !== 'released' && r.start_at === (cb.appointment_at || ''));
+  assert.deepEqual(active.map((r) => r.case_id), [cb.case_id]);
+});
+
+async function devPay(phone) {
+  const c = await s.storage.findCaseByWa(phone);
+  const r = await fetch(`${base}/api/dev/pay`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ appointmentId: c.case_id, phone }),
+  });
+  assert.equal(r.status, 200);
+  assert.match((await r.json()).replies.join('\n'), /Turno confirmado/);
+  return c;
+}
+
+test('otra reserva después de un turno confirmado abre un caso nuevo', async () => {
+  const phone = '5492610000401';
+  await bookMrTurno(phone);
+  const first = await devPay(phone);
+
+  await chat(phone, 'hola', '1', 'B');
+  const second = await s.storage.findCaseByWa(phone);
+  assert.notEqual(second.case_id, first.case_id);
+  assert.equal((await s.findCaseById(first.case_id)).status, 'confirmed');
+});
+
+test('cancelar: con más de 24 h se devuelve la seña, con menos queda', async () => {
+  const [early, late] = ['5492610000501', '5492610000502'];
+  const inAWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  const day = inAWeek.toLocaleDateString('es-AR', { timeZone: 'America/Argentina/Mendoza', day: '2-digit', month: '2-digit' });
+
+  await bookMrTurno(early, `${day} 10:00`);
+  await devPay(early);
+  await chat(early, 'cancelar turno', '1');
+  assert.equal((await s.storage.findCaseByWa(early)).refund_status, 'refunded');
+
+  await bookMrTurno(late);
+  const c = await devPay(late);
+  await s.upsertCaseById(c.case_id, { appointment_at: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString() });
+  await chat(late, 'cancelar turno', '1');
+  const after = await s.findCaseById(c.case_id);
+  assert.equal(after.status, 'cancelled');
+  assert.equal(after.refund_status, 'kept');
+});
+
+test('pedir recepción con un turno confirmado: el turno sigue confirmado y el pedido va en un caso nuevo', async () => {
+  const phone = '5492610000601';
+  await bookMrTurno(phone);
+  const c = await devPay(phone);
+
+  assert.match(await say(phone, 'recepción'), /Te paso con recepción/);
+  assert.equal((await s.findCaseById(c.case_id)).status, 'confirmed');
+  const handoff = await s.storage.findCaseByWa(phone);
+  assert.notEqual(handoff.case_id, c.case_id);
+  assert.equal(handoff.status, 'handoff');
+});
+
+test('/api/dev/pay con el storage caído: 500, sin rechazo sin manejar', { timeout: 10000 }, async () => {
+  const find = s.storage.findCaseById;
+  s.storage.findCaseById = async () => Promise.reject(new Error('sheets_down'));
+  try {
+    const r = await fetch(`${base}/api/dev/pay`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ appointmentId: 'CASE-NOPE' }),
+    });
+    assert.equal(r.status, 500);
+  } finally {
+    s.storage.findCaseById = find;
+  }
+});
+
+test('elegir otro horario reusa las filas del caso: a lo sumo dos por caso', async () => {
+  const { slots } = await s.availableSlots('Ecografía / Doppler');
+  const who = { caseId: 'CASE-LANES', waId: '5492610000701', status: 'held', until: Date.now() + 60 * 1000 };
+  let prevId = '';
+  for (const slot of slots.slice(0, 4)) {
+    const r = await s.claimSlot(slot, { ...who, prevId });
+    assert.equal(r.ok, true);
+    if (prevId) {
+      const old = await s.storage.getRecord('slots', prevId);
+      await s.storage.putRecord('slots', prevId, { ...old, status: 'released', held_until: '' });
+    }
+    prevId = r.id;
+  }
+  // el mismo horario otra vez: misma fila
+  assert.equal((await s.claimSlot(slots[3], { ...who, prevId })).id, prevId);
+
+  const rows = (await s.storage.listRecords('slots')).filter((r) => r.case_id === who.caseId);
+  assert.deepEqual(rows.map((r) => r.id).sort(), ['CASE-LANES|a', 'CASE-LANES|b']);
+  assert.equal(rows.filter((r) => r.status === 'held').length, 1);
+});
+
+test('pruneSlots: borra las liberadas de horarios pasados, deja booked y retenidos', async () => {
+  const past = (h) => new Date(Date.now() - h * 60 * 60 * 1000).toISOString();
+  const base = { resource: 'prof:prune', service: 'Ecografía / Doppler', wa_from: '5492610000801', claimed_at: past(30) };
+  const rows = {
+    'PRUNE-1|a': { ...base, case_id: 'PRUNE-1', status: 'released', start_at: past(25), end_at: past(24) },
+    'PRUNE-2|a': { ...base, case_id: 'PRUNE-2', status: 'booked', start_at: past(25), end_at: past(24) },
+    'PRUNE-3|a': { ...base, case_id: 'PRUNE-3', status: 'released', start_at: past(-24), end_at: past(-25) },
+  };
+  for (const [id, r] of Object.entries(rows)) await s.storage.putRecord('slots', id, r);
+
+  await s.pruneSlots();
+  assert.equal(await s.storage.getRecord('slots', 'PRUNE-1|a'), null);
+  assert.ok(await s.storage.getRecord('slots', 'PRUNE-2|a'));
+  assert.ok(await s.storage.getRecord('slots', 'PRUNE-3|a'));
+});
+
+test('reprogramar con agenda propia: el horario nuevo queda booked y el anterior se suelta', async () => {
+  const phone = '5492610000901';
+  await chat(phone, 'hola', '1', 'A');
+  assert.match(await say(phone, '1'), /^Reservado:/);
+  assert.match(await say(phone, '1'), /Link de pago/);
+  const c = await devPay(phone);
+  const before = await s.findCaseById(c.case_id);
+
+  await chat(phone, 'reprogramar');
+  await say(phone, '2');
+  const after = await s.findCaseById(c.case_id);
+  assert.equal(after.status, 'confirmed');
+  assert.notEqual(after.slot_id, before.slot_id);
+  assert.equal((await s.storage.getRecord('slots', after.slot_id)).status, 'booked');
+  assert.equal((await s.storage.getRecord('slots', before.slot_id)).status, 'released');
+});